@@ -1,8 +1,13 @@
 // KML 3D Viewer PWA
 // Renders KML in Cesium and provides a folder-tree toggle UI.
 
+// Cache-bust version for the worker and service worker, read from the app.js?v=…
+// that index.html loads, so a release bumps it in one place.
+const APP_VERSION = new URL(import.meta.url).searchParams.get('v') || 'dev';
+
 const els = {
   kmlInput: document.getElementById('kmlInput'),
+  folderInput: document.getElementById('folderInput'),
   kmlInfo: document.getElementById('kmlInfo'),
   tree: document.getElementById('tree'),
   treeSummary: document.getElementById('treeSummary'),
@@ -11,9 +16,111 @@ const els = {
   collapseAll: document.getElementById('collapseAll'),
   checkAll: document.getElementById('checkAll'),
   uncheckAll: document.getElementById('uncheckAll'),
+  exportKml: document.getElementById('exportKml'),
+  exportKmz: document.getElementById('exportKmz'),
+  exportGeoJson: document.getElementById('exportGeoJson'),
+  exportCsv: document.getElementById('exportCsv'),
+  exportVisibleOnly: document.getElementById('exportVisibleOnly'),
   search: document.getElementById('search'),
+  searchGlobe: document.getElementById('searchGlobe'),
   hideLabels: document.getElementById('hideLabels'),
+  pointDisplay: document.getElementById('pointDisplay'),
   status: document.getElementById('status'),
+  loadProgress: document.getElementById('loadProgress'),
+  loadProgressBar: document.getElementById('loadProgressBar'),
+  loadProgressText: document.getElementById('loadProgressText'),
+  cancelLoad: document.getElementById('cancelLoad'),
+  details: document.getElementById('details'),
+  detailsBody: document.getElementById('detailsBody'),
+  closeDetails: document.getElementById('closeDetails'),
+  sessionBar: document.getElementById('sessionBar'),
+  sessionSelect: document.getElementById('sessionSelect'),
+  sessionInfo: document.getElementById('sessionInfo'),
+  restoreSession: document.getElementById('restoreSession'),
+  forgetSession: document.getElementById('forgetSession'),
+  buildStamp: document.getElementById('buildStamp'),
+  updateBanner: document.getElementById('updateBanner'),
+  reloadApp: document.getElementById('reloadApp'),
+  tileCacheLimit: document.getElementById('tileCacheLimit'),
+  tileCacheInfo: document.getElementById('tileCacheInfo'),
+  clearTileCache: document.getElementById('clearTileCache'),
+  basemapSelect: document.getElementById('basemapSelect'),
+  basemapAlpha: document.getElementById('basemapAlpha'),
+  addBasemap: document.getElementById('addBasemap'),
+  removeBasemap: document.getElementById('removeBasemap'),
+  basemapForm: document.getElementById('basemapForm'),
+  basemapKind: document.getElementById('basemapKind'),
+  basemapName: document.getElementById('basemapName'),
+  basemapUrl: document.getElementById('basemapUrl'),
+  basemapLayers: document.getElementById('basemapLayers'),
+  basemapMatrixSet: document.getElementById('basemapMatrixSet'),
+  basemapFile: document.getElementById('basemapFile'),
+  basemapFolder: document.getElementById('basemapFolder'),
+  saveBasemap: document.getElementById('saveBasemap'),
+  cancelBasemap: document.getElementById('cancelBasemap'),
+  openCompare: document.getElementById('openCompare'),
+  openDiff: document.getElementById('openDiff'),
+  openDiagnostics: document.getElementById('openDiagnostics'),
+  diagnostics: document.getElementById('diagnostics'),
+  diagnosticsKind: document.getElementById('diagnosticsKind'),
+  closeDiagnostics: document.getElementById('closeDiagnostics'),
+  diagnosticsBody: document.getElementById('diagnosticsBody'),
+  diff: document.getElementById('diff'),
+  diffOld: document.getElementById('diffOld'),
+  diffNew: document.getElementById('diffNew'),
+  diffInput: document.getElementById('diffInput'),
+  loadDiffVersion: document.getElementById('loadDiffVersion'),
+  diffOnlyChanges: document.getElementById('diffOnlyChanges'),
+  exportDiff: document.getElementById('exportDiff'),
+  closeDiff: document.getElementById('closeDiff'),
+  diffBody: document.getElementById('diffBody'),
+  compare: document.getElementById('compare'),
+  compareReference: document.getElementById('compareReference'),
+  compareVisibleOnly: document.getElementById('compareVisibleOnly'),
+  compareLines: document.getElementById('compareLines'),
+  compareCircles: document.getElementById('compareCircles'),
+  closeCompare: document.getElementById('closeCompare'),
+  compareBody: document.getElementById('compareBody'),
+  measureModes: document.querySelectorAll('[data-measure]'),
+  clearMeasurements: document.getElementById('clearMeasurements'),
+  measureList: document.getElementById('measureList'),
+  areaShapes: document.querySelectorAll('[data-area-shape]'),
+  areaSelection: document.getElementById('areaSelection'),
+  areaCheck: document.getElementById('areaCheck'),
+  areaUncheck: document.getElementById('areaUncheck'),
+  areaIsolate: document.getElementById('areaIsolate'),
+  closeAreaSelection: document.getElementById('closeAreaSelection'),
+  areaSelectionBody: document.getElementById('areaSelectionBody'),
+  timeBar: document.getElementById('timeBar'),
+  timeMode: document.getElementById('timeMode'),
+  timeWindowMinutes: document.getElementById('timeWindowMinutes'),
+  timeTrail: document.getElementById('timeTrail'),
+  trailMinutes: document.getElementById('trailMinutes'),
+  altitudeMode: document.getElementById('altitudeMode'),
+  verticalExaggeration: document.getElementById('verticalExaggeration'),
+  dropLines: document.getElementById('dropLines'),
+  openStyle: document.getElementById('openStyle'),
+  stylePanel: document.getElementById('stylePanel'),
+  styleColorBy: document.getElementById('styleColorBy'),
+  styleShapeBy: document.getElementById('styleShapeBy'),
+  stylePointSize: document.getElementById('stylePointSize'),
+  styleLineWidth: document.getElementById('styleLineWidth'),
+  styleLabelScale: document.getElementById('styleLabelScale'),
+  addStyleRule: document.getElementById('addStyleRule'),
+  resetStyles: document.getElementById('resetStyles'),
+  closeStyle: document.getElementById('closeStyle'),
+  styleRules: document.getElementById('styleRules'),
+  styleLegend: document.getElementById('styleLegend'),
+  bookmarkName: document.getElementById('bookmarkName'),
+  addBookmark: document.getElementById('addBookmark'),
+  prevBookmark: document.getElementById('prevBookmark'),
+  nextBookmark: document.getElementById('nextBookmark'),
+  bookmarkPosition: document.getElementById('bookmarkPosition'),
+  presentBookmarks: document.getElementById('presentBookmarks'),
+  exportBookmarks: document.getElementById('exportBookmarks'),
+  importBookmarks: document.getElementById('importBookmarks'),
+  bookmarkInput: document.getElementById('bookmarkInput'),
+  bookmarkList: document.getElementById('bookmarkList'),
 };
 
 function setStatus(msg) {
@@ -29,26 +136,6 @@ function escapeText(s) {
     .replaceAll("'", '&#39;');
 }
 
-function roundCoord(n, digits) {
-  const v = Number(n);
-  if (!Number.isFinite(v)) return null;
-  const p = 10 ** digits;
-  return Math.round(v * p) / p;
-}
-
-function coordKey({ lon, lat }) {
-  const lo = roundCoord(lon, 5);
-  const la = roundCoord(lat, 5);
-  if (lo === null || la === null) return null;
-  return `${lo},${la}`;
-}
-
-function placemarkKey({ name, lon, lat }) {
-  const ck = coordKey({ lon, lat });
-  const nm = String(name ?? '').trim();
-  return ck ? `${nm}|${ck}` : nm;
-}
-
 function haversineMeters(a, b) {
   const toRad = (d) => (d * Math.PI) / 180;
   const R = 6371000;
@@ -65,199 +152,709 @@ function haversineMeters(a, b) {
 // ---------- Cesium init ----------
 
 let viewer = null;
-let kmlDataSource = null;
 
 function initCesium() {
   if (viewer) return;
 
-  // Avoid requiring an ion token by using OSM imagery + ellipsoid terrain.
+  // Avoid requiring an ion token: imagery comes from the basemap manager (see
+  // Basemaps) and terrain is the plain ellipsoid.
   Cesium.Ion.defaultAccessToken = '';
 
-  const imageryProvider = new Cesium.OpenStreetMapImageryProvider({
-    url: 'https://a.tile.openstreetmap.org/',
-  });
-
   viewer = new Cesium.Viewer('cesiumContainer', {
-    imageryProvider,
+    baseLayer: false,
     terrainProvider: new Cesium.EllipsoidTerrainProvider(),
     baseLayerPicker: false,
     geocoder: false,
     homeButton: true,
     sceneModePicker: true,
     navigationHelpButton: true,
-    animation: false,
-    timeline: false,
+    // Shown only while loaded files carry KML time (see Time).
+    animation: true,
+    timeline: true,
+    automaticallyTrackDataSourceClocks: false,
     fullscreenButton: true,
     selectionIndicator: true,
     infoBox: true,
     shouldAnimate: true,
   });
+  showTimeControls(false);
 
   // Make the background match our theme.
   viewer.scene.backgroundColor = Cesium.Color.fromCssColorString('#0b1220');
 
+  viewer.selectedEntityChanged.addEventListener(onGlobeSelection);
+  viewer.camera.moveEnd.addEventListener(scheduleSessionSave);
+  viewer.camera.moveEnd.addEventListener(scheduleDeepLinkUpdate);
+
   setStatus('Ready. Load a KML to begin.');
 }
 
-// ---------- KML parsing (folders/placemarks) ----------
+// ---------- KMZ (zip) archives ----------
 
-let state = {
-  fileName: null,
-  xml: null,
-  rootFeature: null,
-  nodesById: new Map(),
-  rootNodeId: null,
-  includePlacemarks: true,
-  entityIndex: new Map(), // key -> Cesium.Entity[]
-  placemarkIndex: new Map(), // key -> { placemarkEl, path }
-  placemarkToEntity: new Map(), // placemarkKey -> Cesium.Entity[]
-  filterText: '',
-  userHasInteracted: false,
+// KMZ is a plain zip. We read the central directory ourselves and inflate entries
+// with the browser's DecompressionStream, so no zip library is needed.
+
+const ZIP_EOCD_SIG = 0x06054b50;
+const ZIP_CENTRAL_SIG = 0x02014b50;
+const ZIP_LOCAL_SIG = 0x04034b50;
+
+function isZipBuffer(buffer) {
+  if (buffer.byteLength < 4) return false;
+  const b = new Uint8Array(buffer, 0, 4);
+  return b[0] === 0x50 && b[1] === 0x4b && b[2] === 0x03 && b[3] === 0x04;
+}
+
+function readZipDirectory(buffer) {
+  const view = new DataView(buffer);
+
+  // End of central directory: last 22 bytes + up to 64KB of trailing comment.
+  let eocd = -1;
+  const minPos = Math.max(0, buffer.byteLength - 22 - 0xffff);
+  for (let i = buffer.byteLength - 22; i >= minPos; i--) {
+    if (view.getUint32(i, true) === ZIP_EOCD_SIG) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('KMZ is not a valid zip archive.');
+
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || pos === 0xffffffff) throw new Error('ZIP64 KMZ archives are not supported.');
+
+  const utf8 = new TextDecoder('utf-8');
+  const cp437 = new TextDecoder('latin1');
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== ZIP_CENTRAL_SIG) throw new Error('KMZ central directory is corrupt.');
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const size = view.getUint32(pos + 24, true);
+    const nameLen = view.getUint16(pos + 28, true);
+    const extraLen = view.getUint16(pos + 30, true);
+    const commentLen = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const nameBytes = new Uint8Array(buffer, pos + 46, nameLen);
+    const name = ((flags & 0x800) ? utf8 : cp437).decode(nameBytes).replaceAll('\\', '/');
+
+    if (!name.endsWith('/')) {
+      entries.push({ name, method, compressedSize, size, localOffset });
+    }
+    pos += 46 + nameLen + extraLen + commentLen;
+  }
+
+  return entries;
+}
+
+async function readZipEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  const p = entry.localOffset;
+  if (view.getUint32(p, true) !== ZIP_LOCAL_SIG) throw new Error(`KMZ entry "${entry.name}" is corrupt.`);
+  const start = p + 30 + view.getUint16(p + 26, true) + view.getUint16(p + 28, true);
+  const raw = new Blob([new Uint8Array(buffer, start, entry.compressedSize)]);
+
+  if (entry.method === 0) return raw;
+  if (entry.method !== 8) throw new Error(`KMZ entry "${entry.name}" uses unsupported compression (${entry.method}).`);
+  if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot decompress KMZ files.');
+
+  const stream = raw.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).blob();
+}
+
+const MIME_BY_EXT = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  kml: 'application/vnd.google-earth.kml+xml',
+  dae: 'model/vnd.collada+xml',
+  glb: 'model/gltf-binary',
 };
 
-function nextIdFactory() {
-  let n = 1;
-  return () => `n${n++}`;
+function mimeForPath(path) {
+  const ext = String(path).split('.').pop().toLowerCase();
+  return MIME_BY_EXT[ext] || 'application/octet-stream';
 }
 
-function getChildFeatures(featureEl) {
-  return Array.from(featureEl.children).filter((c) => {
-    const t = c.tagName;
-    return t === 'Folder' || t === 'Placemark' || t === 'Document';
-  });
+function pickMainKmlEntry(entries) {
+  // Per the KML spec the main document is the first .kml at the archive root,
+  // conventionally named doc.kml.
+  const kmls = entries.filter((e) => e.name.toLowerCase().endsWith('.kml'));
+  return kmls.find((e) => e.name.toLowerCase() === 'doc.kml')
+    || kmls.find((e) => !e.name.includes('/'))
+    || kmls[0]
+    || null;
+}
+
+// Writing is for "Export visible" KMZ. Images are stored as they are; everything
+// else is deflated with CompressionStream when the browser has it.
+
+const ZIP_STORED_EXT = /\.(png|jpe?g|gif|webp|kmz|zip|glb)$/i;
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
 }
 
-function getFeatureName(featureEl) {
-  const nameEl = featureEl.querySelector(':scope > name');
-  const name = nameEl?.textContent?.trim();
-  return name || featureEl.tagName;
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
 }
 
-function firstCoordFromPlacemark(placemarkEl) {
-  const coordEl = placemarkEl.querySelector('Point > coordinates, LineString > coordinates, MultiGeometry coordinates');
-  const txt = coordEl?.textContent?.trim();
-  if (!txt) return null;
+async function writeZip(entries) {
+  const utf8 = new TextEncoder();
+  const { time, day } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
 
-  // coordinates can be "lon,lat,alt lon,lat,alt ..." or newline-separated
-  const firstToken = txt.split(/\s+/).find(Boolean);
-  if (!firstToken) return null;
+  for (const { name, blob } of entries) {
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const deflate = !ZIP_STORED_EXT.test(name) && typeof CompressionStream !== 'undefined';
+    const body = deflate
+      ? new Uint8Array(await new Response(new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer())
+      : data;
+    const nameBytes = utf8.encode(name);
+    const crc = crc32(data);
 
-  const [lonS, latS] = firstToken.split(',');
-  const lon = Number(lonS);
-  const lat = Number(latS);
-  if (!Number.isFinite(lon) || !Number.isFinite(lat)) return null;
-  return { lon, lat };
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, ZIP_LOCAL_SIG, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x800, true); // UTF-8 names
+    local.setUint16(8, deflate ? 8 : 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(local.buffer, nameBytes, body);
+
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, ZIP_CENTRAL_SIG, true);
+    dir.setUint16(4, 20, true); // version made by
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x800, true);
+    dir.setUint16(10, deflate ? 8 : 0, true);
+    dir.setUint16(12, time, true);
+    dir.setUint16(14, day, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, body.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, nameBytes.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(dir.buffer, nameBytes);
+
+    offset += 30 + nameBytes.length + body.length;
+  }
+
+  const centralSize = central.reduce((sum, p) => sum + p.byteLength, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, ZIP_EOCD_SIG, true);
+  eocd.setUint16(8, entries.length, true);
+  eocd.setUint16(10, entries.length, true);
+  eocd.setUint32(12, centralSize, true);
+  eocd.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, eocd.buffer], { type: 'application/vnd.google-earth.kmz' });
 }
 
-function buildTreeFromKml(rootFeatureEl) {
-  const nextId = nextIdFactory();
-  const nodesById = new Map();
-  const placemarkIndex = new Map();
-
-  function buildNode(featureEl, parentId, pathNames) {
-    const tag = featureEl.tagName;
-    const name = getFeatureName(featureEl);
-    const id = nextId();
-
-    const node = {
-      id,
-      parentId,
-      name,
-      tag,
-      featureEl,
-      children: [],
-      checked: true,
-      indeterminate: false,
-      expanded: tag !== 'Placemark',
-      placemarkKeys: [],
-    };
+async function readKmz(buffer) {
+  const entries = readZipDirectory(buffer);
+  const main = pickMainKmlEntry(entries);
+  if (!main) throw new Error('KMZ contains no .kml document.');
 
-    nodesById.set(id, node);
-
-    if (tag === 'Placemark') {
-      const c = firstCoordFromPlacemark(featureEl);
-      const key = placemarkKey({ name, lon: c?.lon, lat: c?.lat });
-      node.placemarkKeys.push(key);
-      placemarkIndex.set(key, { placemarkEl: featureEl, path: pathNames.concat([name]) });
-      return node;
-    }
-
-    for (const childEl of getChildFeatures(featureEl)) {
-      const childTag = childEl.tagName;
-      const childName = getFeatureName(childEl);
-      const childPath = (childTag === 'Placemark') ? pathNames : pathNames.concat([childName]);
-      const childNode = buildNode(childEl, id, childPath);
-      if (childNode) {
-        node.children.push(childNode.id);
-        // Aggregate placemark keys upward
-        node.placemarkKeys.push(...childNode.placemarkKeys);
+  const assets = new Map(); // archive path -> blob URL
+  const documents = new Map(); // archive path -> Blob of the other .kml documents
+  let blob = null;
+  try {
+    for (const entry of entries) {
+      const data = await readZipEntry(buffer, entry);
+      if (entry === main) {
+        blob = data;
+      } else {
+        const typed = new Blob([data], { type: mimeForPath(entry.name) });
+        assets.set(entry.name, URL.createObjectURL(typed));
+        if (entry.name.toLowerCase().endsWith('.kml')) documents.set(entry.name, typed);
       }
     }
+  } catch (e) {
+    // A damaged entry fails the whole archive; free the URLs made so far.
+    revokeAssetUrls(assets);
+    throw e;
+  }
+
+  // Archive-relative references are rewritten by kml-worker.js while it streams the
+  // document; NetworkLinks to the other documents are expanded into the tree there.
+  return { blob, mainPath: main.name, assets, documents };
+}
+
+function revokeAssetUrls(assets) {
+  for (const url of assets?.values() ?? []) URL.revokeObjectURL(url);
+}
+
+// ---------- MBTiles (SQLite) ----------
+
+// MBTiles is a SQLite database. As with KMZ we read the file format ourselves: a
+// tile lookup walks the (zoom_level, tile_column, tile_row) index and the table
+// b-tree, reading only the pages it touches, so large files never sit in memory.
+
+const SQLITE_HEADER = 'SQLite format 3\0';
+const SQLITE_PAGE_CACHE = 256;
+
+const sqliteText = new TextDecoder();
+
+function readU32(bytes, pos) {
+  return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+}
+
+function readVarint(bytes, pos) {
+  // Returns [value, length]. Rowids and sizes fit comfortably in a double.
+  let value = 0;
+  for (let i = 0; i < 8; i++) {
+    const b = bytes[pos + i];
+    value = value * 128 + (b & 0x7f);
+    if (b < 0x80) return [value, i + 1];
+  }
+  return [value * 256 + bytes[pos + 8], 9];
+}
+
+async function openSqlite(file) {
+  const head = new Uint8Array(await file.slice(0, 100).arrayBuffer());
+  if (sqliteText.decode(head.subarray(0, 16)) !== SQLITE_HEADER) throw new Error(`${file.name} is not a SQLite database.`);
+  const pageSize = ((head[16] << 8) | head[17]) === 1 ? 65536 : (head[16] << 8) | head[17];
+  return { file, pageSize, usable: pageSize - head[20], pages: new Map() };
+}
+
+function readSqlitePage(db, n) {
+  let page = db.pages.get(n);
+  if (page) {
+    // Keep recently used pages (index roots especially) at the back of the cache.
+    db.pages.delete(n);
+  } else {
+    page = db.file.slice((n - 1) * db.pageSize, n * db.pageSize).arrayBuffer().then((buf) => new Uint8Array(buf));
+    if (db.pages.size >= SQLITE_PAGE_CACHE) db.pages.delete(db.pages.keys().next().value);
+  }
+  db.pages.set(n, page);
+  return page;
+}
+
+function btreeHeader(page, n) {
+  const h = n === 1 ? 100 : 0;
+  const type = page[h];
+  const interior = type === 0x02 || type === 0x05;
+  const cells = [];
+  const count = (page[h + 3] << 8) | page[h + 4];
+  const ptrs = h + (interior ? 12 : 8);
+  for (let i = 0; i < count; i++) cells.push((page[ptrs + 2 * i] << 8) | page[ptrs + 2 * i + 1]);
+  return { type, interior, cells, right: interior ? readU32(page, h + 8) : 0 };
+}
+
+function localPayloadSize(db, size, isTable) {
+  // Payloads that do not fit on the page continue in a chain of overflow pages.
+  const u = db.usable;
+  const maxLocal = isTable ? u - 35 : Math.floor(((u - 12) * 64) / 255) - 23;
+  if (size <= maxLocal) return size;
+  const minLocal = Math.floor(((u - 12) * 32) / 255) - 23;
+  const local = minLocal + ((size - minLocal) % (u - 4));
+  return local > maxLocal ? minLocal : local;
+}
+
+async function readCellPayload(db, page, pos, size, isTable) {
+  const u = db.usable;
+  const local = localPayloadSize(db, size, isTable);
+  if (local === size) return page.subarray(pos, pos + size);
 
-    // De-dupe keys
-    if (node.placemarkKeys.length > 1) {
-      node.placemarkKeys = Array.from(new Set(node.placemarkKeys));
+  const out = new Uint8Array(size);
+  out.set(page.subarray(pos, pos + local));
+  let next = readU32(page, pos + local);
+  for (let off = local; off < size && next; ) {
+    const overflow = await readSqlitePage(db, next);
+    const n = Math.min(u - 4, size - off);
+    out.set(overflow.subarray(4, 4 + n), off);
+    off += n;
+    next = readU32(overflow, 0);
+  }
+  return out;
+}
+
+function decodeRecord(bytes, count = Infinity) {
+  // Decodes the first `count` columns, or returns null if bytes ends before them.
+  const [headerSize, hl] = readVarint(bytes, 0);
+  if (headerSize > bytes.length) return null;
+  const types = [];
+  for (let p = hl; p < headerSize && types.length < count; ) {
+    const [t, l] = readVarint(bytes, p);
+    types.push(t);
+    p += l;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const values = [];
+  let p = headerSize;
+  for (const t of types) {
+    const len = t >= 12 ? Math.floor((t - 12) / 2) : [0, 1, 2, 3, 4, 6, 8, 8, 0, 0][t];
+    if (p + len > bytes.length) return null;
+    if (t === 0) values.push(null);
+    else if (t === 8 || t === 9) values.push(t - 8);
+    else if (t === 7) { values.push(view.getFloat64(p)); p += 8; }
+    else if (t <= 6) {
+      let v = 0n;
+      for (let i = 0; i < len; i++) v = (v << 8n) | BigInt(bytes[p + i]);
+      if (v >= 1n << BigInt(len * 8 - 1)) v -= 1n << BigInt(len * 8);
+      values.push(Number(v));
+      p += len;
+    } else {
+      const raw = bytes.subarray(p, p + len);
+      values.push(t % 2 ? sqliteText.decode(raw) : raw);
+      p += len;
     }
+  }
+  return values;
+}
+
+async function* scanSqliteTable(db, root, count = Infinity) {
+  // With a column count, rows whose leading columns fit on the page skip their
+  // overflow chain, so scanning tile keys does not read the tile images.
+  const page = await readSqlitePage(db, root);
+  const { interior, cells, right } = btreeHeader(page, root);
+  if (interior) {
+    for (const c of cells) yield* scanSqliteTable(db, readU32(page, c), count);
+    yield* scanSqliteTable(db, right, count);
+    return;
+  }
+  for (const c of cells) {
+    const [size, sl] = readVarint(page, c);
+    const [rowid, rl] = readVarint(page, c + sl);
+    const pos = c + sl + rl;
+    const values =
+      decodeRecord(page.subarray(pos, pos + localPayloadSize(db, size, true)), count) ??
+      decodeRecord(await readCellPayload(db, page, pos, size, true), count);
+    yield { rowid, values };
+  }
+}
 
-    return node;
+async function findSqliteRow(db, root, rowid) {
+  for (let n = root; ; ) {
+    const page = await readSqlitePage(db, n);
+    const { interior, cells, right } = btreeHeader(page, n);
+    if (interior) {
+      // Each interior cell holds the largest rowid of its left child.
+      const cell = cells.find((c) => rowid <= readVarint(page, c + 4)[0]);
+      n = cell === undefined ? right : readU32(page, cell);
+      continue;
+    }
+    for (const c of cells) {
+      const [size, sl] = readVarint(page, c);
+      const [id, rl] = readVarint(page, c + sl);
+      if (id === rowid) return decodeRecord(await readCellPayload(db, page, c + sl + rl, size, true));
+    }
+    return null;
   }
+}
 
-  const rootNode = buildNode(rootFeatureEl, null, [getFeatureName(rootFeatureEl)]);
-  return { nodesById, rootNodeId: rootNode.id, placemarkIndex };
+function compareSqliteKey(key, values) {
+  // SQLite orders NULL < numbers < text < blob; MBTiles keys are numbers and text.
+  const rank = (v) => (v === null ? 0 : typeof v === 'number' ? 1 : typeof v === 'string' ? 2 : 3);
+  for (let i = 0; i < key.length; i++) {
+    const a = key[i];
+    const b = values[i];
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    if (a < b) return -1;
+    if (a > b) return 1;
+  }
+  return 0;
 }
 
-function findRootFeature(xml) {
-  const docEl = xml.getElementsByTagName('Document')[0];
-  if (docEl) return docEl;
-  const folderEl = xml.getElementsByTagName('Folder')[0];
-  if (folderEl) return folderEl;
+async function findSqliteIndexRowid(db, root, key) {
+  // Index entries are records of the indexed columns followed by the rowid.
+  for (let n = root; n; ) {
+    const page = await readSqlitePage(db, n);
+    const { interior, cells, right } = btreeHeader(page, n);
+    let next = right;
+    for (const c of cells) {
+      const start = interior ? c + 4 : c;
+      const [size, sl] = readVarint(page, start);
+      const values = decodeRecord(await readCellPayload(db, page, start + sl, size, false));
+      const cmp = compareSqliteKey(key, values);
+      if (cmp === 0) return values[values.length - 1];
+      if (cmp < 0) {
+        next = interior ? readU32(page, c) : 0;
+        break;
+      }
+    }
+    n = interior ? next : 0;
+  }
   return null;
 }
 
+function sqliteColumnList(sql) {
+  // Column (or constraint) definitions between the outermost parentheses.
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '(') depth++;
+    else if (body[i] === ')') depth--;
+    else if (body[i] === ',' && depth === 0) {
+      parts.push(body.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(body.slice(start).trim());
+  return parts;
+}
+
+function sqliteIdentifier(def) {
+  return def.replace(/^["'`[]?([^"'`\]\s]+).*$/s, '$1').toLowerCase();
+}
+
+function sqliteKeyColumns(parts, columns, rowidColumn) {
+  // Column lists of the PRIMARY KEY and UNIQUE constraints, in the order SQLite
+  // numbers their automatic indexes: as written, skipping repeats and the rowid.
+  const keys = [];
+  const add = (cols) => {
+    if (cols.length === 1 && columns.indexOf(cols[0]) === rowidColumn) return;
+    if (!keys.some((k) => k.join() === cols.join())) keys.push(cols);
+  };
+  for (const part of parts) {
+    const constraint = /^(?:constraint\s+\S+\s+)?(?:primary\s+key|unique)\s*\(/i.test(part);
+    if (constraint) add(sqliteColumnList(part).map(sqliteIdentifier));
+    else if (!/^(constraint|check|foreign)\b/i.test(part) && /\b(?:primary\s+key|unique)\b/i.test(part)) add([sqliteIdentifier(part)]);
+  }
+  return keys;
+}
+
+async function readSqliteTable(db, schema, name) {
+  const row = schema.find((r) => r.type === 'table' && r.name.toLowerCase() === name);
+  if (!row) return null;
+  const parts = sqliteColumnList(row.sql);
+  const defs = parts.filter((d) => !/^(constraint|primary|unique|check|foreign)\b/i.test(d));
+  const columns = defs.map(sqliteIdentifier);
+  // An INTEGER PRIMARY KEY column is stored as NULL; its value is the rowid.
+  const tablePk = parts.find((d) => /^(?:constraint\s+\S+\s+)?primary\s+key\s*\(/i.test(d));
+  const pkColumns = tablePk && sqliteColumnList(tablePk).map(sqliteIdentifier);
+  const rowidColumn = defs.findIndex((d, i) =>
+    pkColumns
+      ? pkColumns.length === 1 && pkColumns[0] === columns[i] && /^\S+\s+integer\s*$/i.test(d)
+      : /\binteger\s+primary\s+key\b/i.test(d));
+  const table = { root: row.rootpage, columns, rowidColumn, indexes: [], scanned: null };
+  // Indexes from UNIQUE/PRIMARY KEY constraints have no SQL of their own; SQLite
+  // names them sqlite_autoindex_<table>_<n>.
+  const keys = sqliteKeyColumns(parts, columns, rowidColumn);
+  for (const r of schema) {
+    if (r.type !== 'index' || r.tbl_name.toLowerCase() !== name) continue;
+    const cols = r.sql ? sqliteColumnList(r.sql).map(sqliteIdentifier) : keys[Number(/_(\d+)$/.exec(r.name)?.[1]) - 1];
+    if (cols) table.indexes.push({ root: r.rootpage, columns: cols });
+  }
+  return table;
+}
+
+function sqliteRowObject(table, rowid, values) {
+  const obj = {};
+  table.columns.forEach((c, i) => { obj[c] = values[i] ?? null; });
+  if (table.rowidColumn >= 0) obj[table.columns[table.rowidColumn]] = rowid;
+  return obj;
+}
+
+async function lookupSqliteRow(db, table, columns, key) {
+  const index = table.indexes.find((ix) => columns.every((c, i) => ix.columns[i] === c));
+  let rowid;
+  if (columns.length === 1 && table.columns.indexOf(columns[0]) === table.rowidColumn) {
+    rowid = key[0];
+  } else if (index) {
+    rowid = await findSqliteIndexRowid(db, index.root, key);
+  } else {
+    // No usable index: scan the key columns once and keep a key -> rowid map.
+    if (!table.scanned) {
+      table.scanned = new Map();
+      const at = columns.map((c) => table.columns.indexOf(c));
+      for await (const { rowid: id, values } of scanSqliteTable(db, table.root, Math.max(...at) + 1)) {
+        table.scanned.set(at.map((i) => values[i]).join('/'), id);
+      }
+    }
+    rowid = table.scanned.get(key.join('/'));
+  }
+  if (rowid == null) return null;
+  const values = await findSqliteRow(db, table.root, rowid);
+  return values && sqliteRowObject(table, rowid, values);
+}
+
+const MBTILES_MIME = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+async function openMbtiles(file) {
+  const db = await openSqlite(file);
+  const schema = [];
+  for await (const { values } of scanSqliteTable(db, 1)) {
+    const [type, name, tbl_name, rootpage, sql] = values;
+    schema.push({ type, name, tbl_name, rootpage, sql });
+  }
+
+  const metadata = {};
+  const metaTable = await readSqliteTable(db, schema, 'metadata');
+  if (metaTable) {
+    for await (const { rowid, values } of scanSqliteTable(db, metaTable.root)) {
+      const row = sqliteRowObject(metaTable, rowid, values);
+      if (row.name) metadata[String(row.name)] = row.value;
+    }
+  }
+  const format = String(metadata.format ?? 'png').toLowerCase();
+  if (!MBTILES_MIME[format]) throw new Error(`${file.name} holds ${format} tiles; only raster (png/jpg/webp) MBTiles can be shown.`);
+
+  // Plain MBTiles keep tiles in a table; deduplicated ones expose a "tiles" view
+  // over map (z/x/y -> tile_id) and images (tile_id -> tile_data).
+  const tiles = await readSqliteTable(db, schema, 'tiles');
+  const map = tiles ? null : await readSqliteTable(db, schema, 'map');
+  const images = tiles ? null : await readSqliteTable(db, schema, 'images');
+  if (!tiles && !(map && images)) throw new Error(`${file.name} has no tiles table.`);
+
+  return {
+    metadata,
+    async readTile(z, x, y) {
+      // MBTiles rows count from the south (TMS); callers pass XYZ rows.
+      const key = [z, x, (1 << z) - 1 - y];
+      const cols = ['zoom_level', 'tile_column', 'tile_row'];
+      let data;
+      if (tiles) {
+        data = (await lookupSqliteRow(db, tiles, cols, key))?.tile_data;
+      } else {
+        const entry = await lookupSqliteRow(db, map, cols, key);
+        if (entry?.tile_id != null) data = (await lookupSqliteRow(db, images, ['tile_id'], [entry.tile_id]))?.tile_data;
+      }
+      return data instanceof Uint8Array ? new Blob([data], { type: MBTILES_MIME[format] }) : null;
+    },
+  };
+}
+
+// ---------- KML parsing (folders/placemarks) ----------
+
+let state = {
+  layers: [], // loaded files, top of the Places tree first (see createLayer)
+  nodesById: new Map(), // all layers; ids are prefixed with the layer id ("L1:n5")
+  includePlacemarks: true,
+  filterText: '',
+  filterError: null, // message when the search query does not parse
+  searchOnGlobe: false, // also hide non-matching features on the globe
+  filterMatches: null, // Set of node ids kept by the current filter, or null when unfiltered
+  filterHits: null, // the nodes in filterMatches that match themselves, not through a descendant
+  filterChildCounts: null, // node id -> kept child count for the current filter
+  rows: [], // flattened visible tree rows: { id, depth }
+  selectedNodeId: null, // shared by the globe and the Places tree (see selectNode)
+};
+
+let nextLayerNumber = 1;
+
 // ---------- Toggle math ----------
 
+// KML ListStyle listItemType (read by kml-worker.js) changes how a container's
+// toggles behave, as in Google Earth:
+// - radioFolder: at most one child is on at a time,
+// - checkOffOnly: the container can be switched off, but not all on at once,
+// - checkHideChildren: the children are not listed; the container is one toggle.
+
+let toggleVersion = 0; // bumped on every change to the toggles, for caches derived from them
+
 function setCheckedRecursive(nodeId, checked) {
   const node = state.nodesById.get(nodeId);
   if (!node) return;
+  if (checked && node.listItemType === 'checkOffOnly') return;
+  toggleVersion += 1;
   node.checked = checked;
   node.indeterminate = false;
+  if (checked && node.listItemType === 'radioFolder') {
+    // Keep the current choice, or pick the first child.
+    const on = node.children.find((id) => state.nodesById.get(id)?.checked) ?? node.children[0];
+    for (const childId of node.children) setCheckedRecursive(childId, childId === on);
+    return;
+  }
   for (const childId of node.children) setCheckedRecursive(childId, checked);
 }
 
+function deriveCheckedFromChildren(node) {
+  toggleVersion += 1;
+  if (node.children.length === 0) {
+    node.indeterminate = false;
+    return;
+  }
+
+  const childStates = node.children.map((id) => {
+    const c = state.nodesById.get(id);
+    return { checked: Boolean(c?.checked), ind: Boolean(c?.indeterminate) };
+  });
+
+  const allChecked = childStates.every((s) => s.checked && !s.ind);
+  const allUnchecked = childStates.every((s) => !s.checked && !s.ind);
+
+  if (node.listItemType === 'radioFolder') {
+    // One child on is the normal state of a radio folder, not a partial one.
+    node.checked = !allUnchecked;
+    node.indeterminate = false;
+  } else if (allChecked) {
+    node.checked = true;
+    node.indeterminate = false;
+  } else if (allUnchecked) {
+    node.checked = false;
+    node.indeterminate = false;
+  } else {
+    node.checked = true;
+    node.indeterminate = true;
+  }
+}
+
 function recomputeIndeterminateUp(nodeId) {
   let currentId = nodeId;
   while (true) {
     const node = state.nodesById.get(currentId);
     if (!node) break;
 
-    if (node.children.length === 0) {
-      node.indeterminate = false;
-    } else {
-      const childStates = node.children.map((id) => {
-        const c = state.nodesById.get(id);
-        return { checked: Boolean(c?.checked), ind: Boolean(c?.indeterminate) };
-      });
+    // A layer root is the per-file visibility toggle; it is not derived from its children.
+    if (node.isLayerRoot) break;
 
-      const allChecked = childStates.every((s) => s.checked && !s.ind);
-      const allUnchecked = childStates.every((s) => !s.checked && !s.ind);
-
-      if (allChecked) {
-        node.checked = true;
-        node.indeterminate = false;
-      } else if (allUnchecked) {
-        node.checked = false;
-        node.indeterminate = false;
-      } else {
-        node.checked = true;
-        node.indeterminate = true;
-      }
-    }
+    deriveCheckedFromChildren(node);
 
     if (!node.parentId) break;
     currentId = node.parentId;
   }
 }
 
+function initLayerChecks(layer) {
+  // Start from the file's own <visibility> values: radio folders keep their first
+  // visible child, then containers that are on take their state from their children.
+  toggleVersion += 1;
+  const nodes = Array.from(layer.nodesById.values());
+  for (const node of nodes) {
+    if (node.listItemType !== 'radioFolder') continue;
+    const on = node.children.find((id) => state.nodesById.get(id)?.checked);
+    for (const childId of node.children) {
+      if (childId !== on) setCheckedRecursive(childId, false);
+    }
+  }
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const node = nodes[i];
+    if (node.checked && !node.isLayerRoot) deriveCheckedFromChildren(node);
+  }
+}
+
+function hidesChildren(node) {
+  return node.listItemType === 'checkHideChildren';
+}
+
 function setExpandedRecursive(nodeId, expanded) {
   const node = state.nodesById.get(nodeId);
   if (!node) return;
@@ -277,439 +874,5205 @@ function getEffectiveChecked(nodeId) {
   return true;
 }
 
-// ---------- Entity indexing & visibility ----------
+// ---------- Entity binding & visibility ----------
 
-function firstCoordFromEntity(entity) {
-  // Point
-  if (entity.position) {
-    const cart = entity.position.getValue(Cesium.JulianDate.now());
-    if (cart) {
-      const c = Cesium.Cartographic.fromCartesian(cart);
-      return { lon: Cesium.Math.toDegrees(c.longitude), lat: Cesium.Math.toDegrees(c.latitude) };
-    }
-  }
+// Every tree feature gets its node id as its KML id before Cesium parses the
+// document (see kml-worker.js). Cesium uses that id for the feature's entity;
+// MultiGeometry parts become child entities of it, and entities loaded through a
+// NetworkLink carry the link's entity id as a prefix. So each entity can be traced
+// back to exactly one tree node.
 
-  // Polyline
-  if (entity.polyline?.positions) {
-    const pos = entity.polyline.positions.getValue(Cesium.JulianDate.now());
-    if (Array.isArray(pos) && pos.length) {
-      const c = Cesium.Cartographic.fromCartesian(pos[0]);
-      return { lon: Cesium.Math.toDegrees(c.longitude), lat: Cesium.Math.toDegrees(c.latitude) };
-    }
-  }
+const NODE_ID_SUFFIX = /L\d+:n\d+$/;
+
+// Feature types Cesium is expected to create an entity for.
+const BOUND_TAGS = new Set(['Placemark', 'GroundOverlay', 'NetworkLink', 'PhotoOverlay']);
 
+function findBoundNodeId(layer, entity) {
+  let cur = entity;
+  while (cur) {
+    const m = typeof cur.id === 'string' ? NODE_ID_SUFFIX.exec(cur.id) : null;
+    if (m && layer.nodesById.has(m[0])) return m[0];
+    cur = cur.parent;
+  }
   return null;
 }
 
-function rebuildEntityIndex() {
-  state.entityIndex = new Map();
-  if (!kmlDataSource) return;
+function rebuildNodeToEntityMap(layer) {
+  layer.nodeToEntity = new Map();
+  layer.unboundNodeIds = [];
+  if (!layer.dataSource) return;
 
-  const ents = kmlDataSource.entities.values;
-  for (const e of ents) {
-    const name = e.name || '';
-    const c = firstCoordFromEntity(e);
-    const key = placemarkKey({ name, lon: c?.lon, lat: c?.lat });
-    const arr = state.entityIndex.get(key) || [];
+  for (const e of layer.dataSource.entities.values) {
+    const nodeId = findBoundNodeId(layer, e);
+    if (!nodeId) continue;
+    const arr = layer.nodeToEntity.get(nodeId) || [];
     arr.push(e);
-    state.entityIndex.set(key, arr);
-  }
-}
-
-function rebuildPlacemarkToEntityMap() {
-  state.placemarkToEntity = new Map();
-  if (!kmlDataSource || !state.placemarkIndex?.size) return;
-
-  // Build candidate pools of entities by name, with coordinates for distance matching.
-  const byName = new Map(); // name -> [{ entity, coord }]
-  for (const e of kmlDataSource.entities.values) {
-    // Heuristic: treat entities with some geometry as candidates.
-    if (!e.position && !e.polyline && !e.polygon) continue;
-    const name = String(e.name || '').trim();
-    const coord = firstCoordFromEntity(e);
-    const arr = byName.get(name) || [];
-    arr.push({ entity: e, coord });
-    byName.set(name, arr);
-  }
-
-  // For each Placemark in the KML, try to match to Cesium entities by name, then nearest coordinate.
-  const used = new Set();
-  for (const [pmKey, info] of state.placemarkIndex.entries()) {
-    const pmEl = info.placemarkEl;
-    const pmName = getFeatureName(pmEl);
-    const pmCoord = firstCoordFromPlacemark(pmEl);
-
-    const candidates = (byName.get(String(pmName).trim()) || []).filter((c) => !used.has(c.entity.id));
-    let best = null;
-
-    if (candidates.length === 1) {
-      best = candidates[0];
-    } else if (candidates.length > 1 && pmCoord) {
-      let bestDist = Infinity;
-      for (const c of candidates) {
-        if (!c.coord) continue;
-        const d = haversineMeters({ lon: pmCoord.lon, lat: pmCoord.lat }, c.coord);
-        if (d < bestDist) {
-          bestDist = d;
-          best = c;
-        }
-      }
-      // If none have coords, just pick the first unused.
-      if (!best) best = candidates[0];
-    }
+    layer.nodeToEntity.set(nodeId, arr);
+  }
 
-    // Fallback: if name match fails, try exact key match from entityIndex.
-    if (!best) {
-      const exact = state.entityIndex.get(pmKey);
-      if (exact?.length) {
-        state.placemarkToEntity.set(pmKey, exact);
-        for (const e of exact) used.add(e.id);
-        continue;
-      }
+  // Cesium hides a Document/Folder with <visibility>0</visibility>, and with it
+  // everything below; the tree decides instead, so containers always stay shown.
+  for (const [nodeId, entities] of layer.nodeToEntity) {
+    const node = layer.nodesById.get(nodeId);
+    if (node && (node.children.length || node.tag === 'Document' || node.tag === 'Folder')) {
+      for (const e of entities) e.show = true;
     }
+  }
 
-    if (best) {
-      state.placemarkToEntity.set(pmKey, [best.entity]);
-      used.add(best.entity.id);
-    }
+  for (const node of layer.nodesById.values()) {
+    if (!BOUND_TAGS.has(node.tag)) continue;
+    // A NetworkLink expanded into a subtree is bound through its children.
+    if (node.tag === 'NetworkLink' && (node.children.length || node.linkError)) continue;
+    const bound = layer.nodeToEntity.has(node.id);
+    node.unbound = !bound;
+    if (!bound) layer.unboundNodeIds.push(node.id);
   }
+  layer.labelsHidden = null; // new entities take the label setting on the next pass
 }
 
-function applyVisibilityFromTree() {
-  if (!kmlDataSource) return;
-
-  // Build a set of enabled placemark keys based on leaf placemark nodes effective checked.
-  // We derive it by iterating all nodes and using their placemarkKeys.
-  const enabledKeys = new Set();
+function nodePath(layer, nodeId) {
+  const path = [];
+  for (let n = layer.nodesById.get(nodeId); n; n = layer.nodesById.get(n.parentId)) path.unshift(n.name);
+  return path;
+}
 
-  for (const node of state.nodesById.values()) {
-    if (node.tag === 'Placemark') {
-      const effective = getEffectiveChecked(node.id);
-      for (const k of node.placemarkKeys) {
-        if (effective) enabledKeys.add(k);
-      }
-    }
-  }
+function scheduleRebind(layer) {
+  // NetworkLinks load (and refresh) after the data source itself, so entities keep
+  // arriving; rebind once they settle.
+  clearTimeout(layer.rebindTimer);
+  layer.rebindTimer = setTimeout(() => {
+    if (!state.layers.includes(layer)) return;
+    rebuildNodeToEntityMap(layer);
+    applyAltitudes([layer]);
+    applyVisibilityFromTree();
+    updateTimeline();
+    if (stylesApplied) applyStyles();
+    renderDiagnostics();
+    renderedRange = { start: -1, end: -1 };
+    renderVisibleRows();
+  }, 250);
+}
 
-  // If we haven't mapped placemarks to entities yet, do it now.
-  if (!state.placemarkToEntity || state.placemarkToEntity.size === 0) {
-    rebuildPlacemarkToEntityMap();
+function isShownOnGlobe(nodeId) {
+  // With "Apply search to globe", only features that match, or that sit in a
+  // folder that matches (a search for P07 keeps all of P07), stay shown.
+  if (!getEffectiveChecked(nodeId) || hiddenByDiff(nodeId)) return false;
+  const hits = state.searchOnGlobe ? state.filterHits : null;
+  if (!hits) return true;
+  for (let n = state.nodesById.get(nodeId); n; n = state.nodesById.get(n.parentId)) {
+    if (hits.has(n.id)) return true;
   }
+  return false;
+}
 
-  const mappedCount = state.placemarkToEntity?.size || 0;
-  const totalEntities = kmlDataSource.entities.values.length;
+function applyLayerVisibility(layer, fromId = layer.rootNodeId) {
+  // Walks the subtree top-down, so each node's state follows from its parent's
+  // instead of a walk to the root per feature. Placemarks remember whether they
+  // are shown, which keeps the layer's shown count current for partial updates.
+  const ds = layer.dataSource;
+  const root = state.nodesById.get(layer.rootNodeId);
+  ds.show = Boolean(root?.checked);
+  const hits = state.searchOnGlobe ? state.filterHits : null;
 
-  // If mapping is missing, do not risk hiding everything.
-  if (mappedCount === 0) {
-    for (const e of kmlDataSource.entities.values) e.show = true;
-    setStatus(`Showing all entities (no placemark mapping yet). Entities: ${totalEntities.toLocaleString()}`);
-    return;
+  // Same rules as isShownOnGlobe: checked up to the root, and with the search on
+  // the globe, a match at the node or above it.
+  let on = true;
+  let hit = !hits;
+  for (let n = layer.nodesById.get(layer.nodesById.get(fromId)?.parentId); n; n = layer.nodesById.get(n.parentId)) {
+    on &&= Boolean(n.checked);
+    hit ||= hits.has(n.id);
   }
+  const stack = [[fromId, on, hit]];
+  while (stack.length) {
+    const [id, parentOn, parentHit] = stack.pop();
+    const node = layer.nodesById.get(id);
+    if (!node) continue;
+    const effective = parentOn && Boolean(node.checked);
+    const matched = parentHit || hits.has(id);
+    const shown = effective && matched && !hiddenByDiff(id);
+    if (layer.placemarkIndex.has(id) && shown !== Boolean(node.shown)) layer.shownCount += shown ? 1 : -1;
+    node.shown = shown;
 
-  // After the user interacts with the Places tree, treat it as authoritative:
-  // - Start by hiding EVERYTHING, then only show enabled placemarks.
-  // This makes "uncheck all" actually hide all vectors.
-  if (state.userHasInteracted) {
-    for (const e of kmlDataSource.entities.values) e.show = false;
-
-    for (const key of enabledKeys) {
-      const entities = state.placemarkToEntity.get(key);
-      if (!entities) continue;
-      for (const e of entities) e.show = true;
-    }
-
-    setStatus(
-      `Toggles applied. Showing ${enabledKeys.size.toLocaleString()} placemarks • ` +
-      `Mapped placemarks: ${mappedCount.toLocaleString()} • Entities: ${totalEntities.toLocaleString()}`
-    );
-  } else {
-    // Before any interaction, keep the view permissive (show all).
-    for (const e of kmlDataSource.entities.values) e.show = true;
-    setStatus(`Ready. Entities: ${totalEntities.toLocaleString()} • Mapped placemarks: ${mappedCount.toLocaleString()}`);
+    // Only entities bound to a leaf feature are toggled; Document/Folder (and expanded
+    // NetworkLink) entities stay shown because they are the parents of everything below them.
+    const leaf = !node.children.length && node.tag !== 'Document' && node.tag !== 'Folder';
+    if (leaf) for (const e of layer.nodeToEntity.get(id) ?? []) e.show = shown;
+    const img = layer.screenOverlays.get(id);
+    if (img) img.hidden = !shown;
+    for (const childId of node.children) stack.push([childId, effective, matched]);
   }
+  applyLabelVisibility(layer);
+
+  return {
+    enabled: layer.shownCount,
+    total: layer.placemarkIndex.size,
+    unbound: layer.unboundNodeIds.length,
+    entities: ds.entities.values.length,
+  };
+}
 
-  // Optionally hide labels by hiding label/billboard (but keep geometry).
-  const hideLabels = Boolean(els.hideLabels?.checked);
-  for (const e of kmlDataSource.entities.values) {
+function applyLabelVisibility(layer) {
+  // Optionally hide labels by hiding label/billboard (but keep geometry); the
+  // heatmap stands in for them too. This touches every entity, so it only runs
+  // when the setting changed or new entities were bound.
+  const hideLabels = Boolean(els.hideLabels?.checked) || pointDisplay === 'heatmap';
+  if (layer.labelsHidden === hideLabels) return;
+  layer.labelsHidden = hideLabels;
+  for (const e of layer.dataSource.entities.values) {
     if (e.label) e.label.show = !hideLabels;
     if (e.billboard) e.billboard.show = !hideLabels;
   }
-
-  // Status is updated above.
 }
 
-// ---------- Render tree UI ----------
+// Features that follow what is shown (sessions, the comparison, trails, the
+// heatmap…) subscribe to visibility changes instead of being called from the
+// toggle path; each runs once the changes settle, so a burst of clicks costs one
+// update.
+const VISIBILITY_SETTLE_MS = 100;
+const visibilityListeners = [];
 
-function computeTotals() {
-  let folders = 0;
-  let placemarks = 0;
-  for (const n of state.nodesById.values()) {
-    if (n.tag === 'Placemark') placemarks += 1;
-    else folders += 1;
-  }
-  return { folders, placemarks };
+function onVisibilityChange(fn) {
+  let timer = 0;
+  visibilityListeners.push(() => {
+    clearTimeout(timer);
+    timer = setTimeout(fn, VISIBILITY_SETTLE_MS);
+  });
 }
 
-function matchesFilter(node) {
-  const q = state.filterText.trim().toLowerCase();
-  if (!q) return true;
-  return String(node.name).toLowerCase().includes(q);
+function notifyVisibilityChange() {
+  for (const listener of visibilityListeners) listener();
 }
 
-function subtreeMatches(nodeId) {
-  const n = state.nodesById.get(nodeId);
-  if (!n) return false;
-  if (matchesFilter(n)) return true;
-  return n.children.some(subtreeMatches);
-}
+function applyVisibilityFromTree(changedNodeId = null) {
+  // With a node id only that subtree is updated (see onTreeCheckChange).
+  if (!state.layers.length) return;
 
-function renderTree() {
-  if (!els.tree) return;
-  if (!state.rootNodeId) {
-    els.tree.innerHTML = '<div class="placeholder">Waiting for KML…</div>';
-    return;
-  }
+  let enabled = 0;
+  let total = 0;
+  let unbound = 0;
+  let totalEntities = 0;
 
-  const total = computeTotals();
-  if (els.treeSummary) {
-    els.treeSummary.textContent = `${total.folders.toLocaleString()} folders • ${total.placemarks.toLocaleString()} placemarks`;
+  const changedLayerId = changedNodeId ? state.nodesById.get(changedNodeId)?.layerId : null;
+  for (const layer of state.layers) {
+    if (!layer.dataSource) continue;
+    const partial = changedLayerId === layer.id;
+    const r = changedLayerId && !partial
+      ? { enabled: layer.shownCount, total: layer.placemarkIndex.size, unbound: layer.unboundNodeIds.length, entities: layer.dataSource.entities.values.length }
+      : applyLayerVisibility(layer, partial ? changedNodeId : layer.rootNodeId);
+    enabled += r.enabled;
+    total += r.total;
+    unbound += r.unbound;
+    totalEntities += r.entities;
   }
 
-  els.tree.innerHTML = renderNode(state.rootNodeId);
-  wireTreeHandlers();
-
-  // Apply checkbox state + indeterminate
-  const inputs = els.tree.querySelectorAll('input[type="checkbox"][data-action="check"]');
-  for (const inp of inputs) {
-    const id = inp.getAttribute('data-node-id');
-    const node = state.nodesById.get(id);
-    if (!node) continue;
-    inp.checked = Boolean(node.checked);
-    inp.indeterminate = Boolean(node.indeterminate);
-  }
+  const files = `${state.layers.length.toLocaleString()} file${state.layers.length === 1 ? '' : 's'}`;
+  const unboundNote = unbound
+    ? ` • ${unbound.toLocaleString()} feature${unbound === 1 ? '' : 's'} not rendered (see Diagnostics)`
+    : '';
+  setStatus(
+    `Showing ${enabled.toLocaleString()} of ${total.toLocaleString()} placemarks • ` +
+    `Entities: ${totalEntities.toLocaleString()} • ${files}${unboundNote}`
+  );
+  notifyVisibilityChange();
 }
 
-function renderNode(nodeId) {
-  const node = state.nodesById.get(nodeId);
-  if (!node) return '';
-
-  if (!subtreeMatches(nodeId)) return '';
-
-  const hasChildren = node.children.length > 0;
-  const expanded = Boolean(node.expanded);
-
-  const visibleChildren = node.children.filter(subtreeMatches);
-  const meta = node.tag === 'Placemark'
-    ? '<span class="node-meta">Placemark</span>'
-    : `<span class="node-meta">${visibleChildren.length} items</span>`;
-
-  const twistyDisabled = !hasChildren || visibleChildren.length === 0;
-  const twistyLabel = expanded ? '−' : '+';
+// ---------- Search query ----------
 
-  const name = escapeText(node.name);
+// The search box takes space-separated terms; a node matches when all of them do.
+//   word, "two words"   name contains the text (case-insensitive)
+//   /regex/i            name matches the regular expression
+//   field:value         ExtendedData/SchemaData field contains value (value may be /regex/)
+//   field<20            numeric comparison on a field: < <= > >= = !=
+//   participant:P07     folder at that path level (participant, source, building), or path:text at any level
+//   type:LineString     geometry type, or feature type (type:GroundOverlay)
+//   -term               negates a term
 
-  const childrenHtml = (hasChildren && expanded)
-    ? `<div class="tree-children">${visibleChildren.map(renderNode).join('')}</div>`
-    : '';
+const PATH_LEVELS = { participant: 0, source: 1, location: 1, building: 2 };
+const QUERY_OPERATORS = ['<=', '>=', '!=', ':', '<', '>', '='];
 
-  return `
-    <div class="tree-item" data-node-id="${node.id}">
-      <button class="twisty" data-action="toggle" ${twistyDisabled ? 'disabled' : ''}>${twistyLabel}</button>
-      <label class="node-name">
-        <input type="checkbox" data-action="check" data-node-id="${node.id}" />
-        <span>${name}</span>
-      </label>
-      ${meta}
-    </div>
-    ${childrenHtml}
-  `;
+function tokenizeQuery(text) {
+  // Whitespace separates terms, except inside "quotes" and /regex/ values.
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i += 1;
+      continue;
+    }
+    let tok = '';
+    while (i < text.length && !/\s/.test(text[i])) {
+      const ch = text[i];
+      let close = -1;
+      if (ch === '"') {
+        close = text.indexOf('"', i + 1);
+      } else if (ch === '/' && /^-?$|[:<>=]$/.test(tok)) {
+        close = i + 1;
+        while (close < text.length && text[close] !== '/') close += text[close] === '\\' ? 2 : 1;
+        if (close >= text.length) close = -1;
+      }
+      if (close < 0) {
+        tok += ch;
+        i += 1;
+      } else {
+        tok += text.slice(i, close + 1);
+        i = close + 1;
+      }
+    }
+    tokens.push(tok);
+  }
+  return tokens;
 }
 
-function wireTreeHandlers() {
-  els.tree.querySelectorAll('button.twisty[data-action="toggle"]').forEach((btn) => {
-    btn.addEventListener('click', () => {
-      const wrap = btn.closest('[data-node-id]');
-      const id = wrap?.getAttribute('data-node-id');
-      if (!id) return;
-      const node = state.nodesById.get(id);
-      if (!node || node.children.length === 0) return;
-      node.expanded = !node.expanded;
-      renderTree();
-    });
-  });
-
-  els.tree.querySelectorAll('input[type="checkbox"][data-action="check"]').forEach((inp) => {
-    inp.addEventListener('change', () => {
-      const id = inp.getAttribute('data-node-id');
-      if (!id) return;
-      const node = state.nodesById.get(id);
-      if (!node) return;
-      setCheckedRecursive(id, inp.checked);
-      if (node.parentId) recomputeIndeterminateUp(node.parentId);
-      renderTree();
-      state.userHasInteracted = true;
-      applyVisibilityFromTree();
-    });
-  });
+function parseQueryValue(raw) {
+  const re = /^\/(.*)\/([a-z]*)$/s.exec(raw);
+  if (re) {
+    let regex;
+    try {
+      regex = new RegExp(re[1], re[2].replace(/[gy]/g, ''));
+    } catch (e) {
+      throw new Error(`invalid regular expression ${raw}`);
+    }
+    return { regex, text: raw, lower: raw.toLowerCase() };
+  }
+  const text = raw.length > 1 && raw.startsWith('"') && raw.endsWith('"') ? raw.slice(1, -1) : raw;
+  return { regex: null, text, lower: text.toLowerCase() };
 }
 
-// ---------- Load KML ----------
-
-async function loadKml(file) {
-  initCesium();
+function compareQueryValue(op, actual, value) {
+  const s = String(actual ?? '');
+  if (value.regex) {
+    const hit = value.regex.test(s);
+    return op === '!=' ? !hit : hit;
+  }
+  if (op === ':') return s.toLowerCase().includes(value.lower);
 
-  setStatus('Reading KML…');
-  const text = await file.text();
+  const a = Number(s);
+  const b = Number(value.text);
+  const numeric = s.trim() !== '' && value.text.trim() !== '' && Number.isFinite(a) && Number.isFinite(b);
+  if (op === '=' || op === '!=') {
+    const equal = numeric ? a === b : s.toLowerCase() === value.lower;
+    return op === '=' ? equal : !equal;
+  }
+  if (!numeric) return false;
+  if (op === '<') return a < b;
+  if (op === '<=') return a <= b;
+  if (op === '>') return a > b;
+  return a >= b;
+}
 
-  const parser = new DOMParser();
-  const xml = parser.parseFromString(text, 'text/xml');
-  const err = xml.getElementsByTagName('parsererror')[0];
-  if (err) throw new Error('KML parse error. Ensure the file is valid XML/KML.');
+function dataValue(node, field) {
+  if (!node.data) return undefined;
+  if (field in node.data) return node.data[field];
+  const key = Object.keys(node.data).find((k) => k.toLowerCase() === field);
+  return key === undefined ? undefined : node.data[key];
+}
 
-  const root = findRootFeature(xml);
-  if (!root) throw new Error('KML contains no Document or Folder root.');
+function parseQueryTerm(tok) {
+  const negate = tok.length > 1 && tok.startsWith('-');
+  const body = negate ? tok.slice(1) : tok;
 
-  state.fileName = file.name;
-  state.xml = xml;
-  state.rootFeature = root;
-  state.filterText = '';
-  if (els.search) {
-    els.search.value = '';
-    els.search.disabled = false;
+  const m = /^([^\s"/:<>=!]+)(<=|>=|!=|:|<|>|=)(.+)$/s.exec(body);
+  if (!m) {
+    const value = parseQueryValue(body);
+    return { negate, needsPath: false, test: (node) => compareQueryValue(':', node.name, value) };
   }
 
-  const { nodesById, rootNodeId } = buildTreeFromKml(root);
-  state.nodesById = nodesById;
-  state.rootNodeId = rootNodeId;
+  const field = m[1].toLowerCase();
+  const op = m[2];
+  const value = parseQueryValue(m[3]);
+  if (!QUERY_OPERATORS.includes(op)) throw new Error(`unknown operator in ${tok}`);
 
-  for (const n of nodesById.values()) {
-    if (n.tag !== 'Placemark') n.expanded = true;
+  if (field === 'name') {
+    return { negate, needsPath: false, test: (node) => compareQueryValue(op, node.name, value) };
   }
-
-  if (els.kmlInfo) {
-    const totals = computeTotals();
-    els.kmlInfo.textContent = `${file.name} • ${totals.folders.toLocaleString()} folders • ${totals.placemarks.toLocaleString()} placemarks`;
+  if (field === 'type') {
+    // type:linestring, type:track (gx:Track) or a feature type such as type:groundoverlay.
+    const typeValue = value.regex || op !== ':' ? value : parseQueryValue(value.text.replace(/^gx:/i, ''));
+    const typeOp = op === ':' ? '=' : op;
+    return {
+      negate,
+      needsPath: false,
+      test: (node) => [node.tag, ...(node.geometry ?? [])]
+        .some((t) => compareQueryValue(typeOp, t.replace(/^gx:/, ''), typeValue)),
+    };
   }
+  if (field === 'path') {
+    return { negate, needsPath: true, test: (node, path) => path.some((p) => compareQueryValue(op, p, value)) };
+  }
+
+  // Any other field is an ExtendedData/SchemaData field; the path level names fall
+  // back to the folder at that level when a node has no such field.
+  const level = PATH_LEVELS[field];
+  return {
+    negate,
+    needsPath: level !== undefined,
+    test: (node, path) => {
+      const v = dataValue(node, field);
+      if (v !== undefined) return compareQueryValue(op, v, value);
+      if (level === undefined || path[level] === undefined) return false;
+      return compareQueryValue(op, path[level], value);
+    },
+  };
+}
+
+function compileQuery(text) {
+  const terms = tokenizeQuery(text).map(parseQueryTerm);
+  return { terms, needsPath: terms.some((t) => t.needsPath) };
+}
+
+function folderPaths(nodes) {
+  // Folder names below the layer root, for every non-Placemark node (itself included).
+  const paths = new Map();
+  for (const n of nodes) {
+    if (n.tag === 'Placemark') continue;
+    paths.set(n.id, n.isLayerRoot ? [] : [...(paths.get(n.parentId) ?? []), n.name]);
+  }
+  return paths;
+}
+
+// ---------- Render tree UI ----------
+
+// The Places tree is virtualized: `state.rows` is the flattened list of rows that
+// are currently reachable (expanded + matching the filter), and only the rows that
+// intersect the scroll viewport exist in the DOM. All row events are delegated to
+// the #tree container (see setupTreeEvents), so re-rendering never re-wires listeners.
+
+const TREE_ROW_HEIGHT = 36;
+const TREE_INDENT = 22;
+const TREE_OVERSCAN = 12;
+
+let renderedRange = { start: -1, end: -1 };
+let scrollFrame = 0;
+
+const FEATURE_TYPES = {
+  Document: { icon: '📄', label: 'Document' },
+  Folder: { icon: '📁', label: 'Folder' },
+  Placemark: { icon: '📍', label: 'Placemark' },
+  NetworkLink: { icon: '🔗', label: 'Network link' },
+  GroundOverlay: { icon: '🗺️', label: 'Ground overlay' },
+  ScreenOverlay: { icon: '🖼️', label: 'Screen overlay' },
+  PhotoOverlay: { icon: '📷', label: 'Photo overlay' },
+  'gx:Tour': { icon: '🎬', label: 'Tour' },
+};
+
+function computeTotals() {
+  let folders = 0;
+  let placemarks = 0;
+  let features = 0;
+  for (const layer of state.layers) {
+    folders += layer.totals.folders;
+    placemarks += layer.totals.placemarks;
+    features += layer.totals.features;
+  }
+  return { folders, placemarks, features };
+}
+
+function formatTotals(total) {
+  let text = `${total.folders.toLocaleString()} folders • ${total.placemarks.toLocaleString()} placemarks`;
+  if (total.features) text += ` • ${total.features.toLocaleString()} other features`;
+  return text;
+}
+
+function matchesFilter(node, query, path) {
+  return query.terms.every((t) => t.negate !== t.test(node, path));
+}
+
+function computeFilterMatches() {
+  // Computed once per query: a node is kept when it or any descendant matches.
+  // Nodes are stored parent-before-child, so walking each layer backwards visits
+  // every child before its parent and one pass is enough.
+  const text = state.filterText.trim();
+  state.filterError = null;
+  let query = null;
+  try {
+    query = text ? compileQuery(text) : null;
+  } catch (e) {
+    state.filterError = e?.message ?? String(e);
+  }
+  const onlyChanges = Boolean(versionDiff && els.diffOnlyChanges?.checked);
+  if (!query && !onlyChanges) {
+    state.filterMatches = null;
+    state.filterHits = null;
+    state.filterChildCounts = null;
+    return;
+  }
+
+  const matches = new Set();
+  const hits = new Set();
+  const childCounts = new Map(); // node id -> number of kept children
+  for (const layer of state.layers) {
+    const nodes = Array.from(layer.nodesById.values());
+    const paths = query?.needsPath ? folderPaths(nodes) : null;
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const n = nodes[i];
+      const path = paths?.get(n.tag === 'Placemark' ? n.parentId : n.id) ?? [];
+      const self = !hiddenByDiff(n.id) && (!query || matchesFilter(n, query, path));
+      if (!childCounts.has(n.id) && !self) continue;
+      matches.add(n.id);
+      if (self) hits.add(n.id);
+      if (n.parentId) childCounts.set(n.parentId, (childCounts.get(n.parentId) || 0) + 1);
+    }
+  }
+
+  state.filterMatches = matches;
+  state.filterHits = hits;
+  state.filterChildCounts = childCounts;
+}
+
+function subtreeMatches(nodeId) {
+  return !state.filterMatches || state.filterMatches.has(nodeId);
+}
+
+function visibleChildCount(node) {
+  if (hidesChildren(node)) return 0;
+  if (!state.filterChildCounts) return node.children.length;
+  return state.filterChildCounts.get(node.id) || 0;
+}
+
+function appendRows(nodeId, depth, out) {
+  // Iterative DFS: deep or very wide trees must not blow the call stack.
+  const stack = [[nodeId, depth]];
+  while (stack.length) {
+    const [id, d] = stack.pop();
+    const node = state.nodesById.get(id);
+    if (!node) continue;
+    // Layer roots always render so each file keeps its visibility toggle and actions while searching.
+    if (!node.isLayerRoot && !subtreeMatches(id)) continue;
+    out.push({ id, depth: d });
+    if (!node.expanded || hidesChildren(node)) continue;
+    for (let i = node.children.length - 1; i >= 0; i--) stack.push([node.children[i], d + 1]);
+  }
+  return out;
+}
+
+function rebuildRows() {
+  const rows = [];
+  for (const layer of state.layers) appendRows(layer.rootNodeId, 0, rows);
+  state.rows = rows;
+}
+
+function updateTreeSummary() {
+  if (!els.treeSummary) return;
+  if (!state.layers.length) {
+    els.treeSummary.textContent = 'Load a KML to see folders.';
+    return;
+  }
+  const total = computeTotals();
+  const files = `${state.layers.length.toLocaleString()} file${state.layers.length === 1 ? '' : 's'}`;
+  let text = `${files} • ${formatTotals(total)}`;
+  if (state.filterMatches) text += ` • ${state.filterMatches.size.toLocaleString()} matching`;
+  if (state.filterError) text += ` • Search error: ${state.filterError}`;
+  els.treeSummary.textContent = text;
+}
+
+function renderTree() {
+  if (!els.tree) return;
+  scheduleSessionSave();
+  updateTreeSummary();
+  renderedRange = { start: -1, end: -1 };
+
+  if (!state.layers.length) {
+    els.tree.innerHTML = '<div class="placeholder">Waiting for KML…</div>';
+    state.rows = [];
+    return;
+  }
+
+  rebuildRows();
+  if (!els.tree.querySelector(':scope > .tree-spacer')) {
+    els.tree.innerHTML = '<div class="tree-spacer"><div class="tree-rows"></div></div>';
+  }
+  renderVisibleRows();
+}
+
+function renderVisibleRows() {
+  const spacer = els.tree?.querySelector(':scope > .tree-spacer');
+  if (!spacer) return;
+  const rowsEl = spacer.firstElementChild;
+
+  spacer.style.height = `${state.rows.length * TREE_ROW_HEIGHT}px`;
+
+  const top = Math.max(0, els.tree.scrollTop - spacer.offsetTop);
+  const start = Math.max(0, Math.floor(top / TREE_ROW_HEIGHT) - TREE_OVERSCAN);
+  const visibleCount = Math.ceil(els.tree.clientHeight / TREE_ROW_HEIGHT) + 2 * TREE_OVERSCAN;
+  const end = Math.min(state.rows.length, start + visibleCount);
+
+  if (start === renderedRange.start && end === renderedRange.end) return;
+  renderedRange = { start, end };
+
+  rowsEl.style.transform = `translateY(${start * TREE_ROW_HEIGHT}px)`;
+  rowsEl.innerHTML = state.rows.slice(start, end).map(renderRow).join('');
+  refreshRenderedRows();
+}
+
+function refreshRenderedRows() {
+  // Checkbox state lives in properties (indeterminate has no attribute), so it is
+  // applied after the row HTML is in place and again whenever toggles change.
+  const inputs = els.tree?.querySelectorAll('input[data-action="check"]') ?? [];
+  for (const inp of inputs) {
+    const node = state.nodesById.get(inp.getAttribute('data-node-id'));
+    if (!node) continue;
+    inp.checked = Boolean(node.checked);
+    inp.indeterminate = Boolean(node.indeterminate);
+  }
+}
+
+function renderLayerActions(node) {
+  const idx = state.layers.findIndex((l) => l.id === node.layerId);
+  return `
+    <span class="layer-actions">
+      <button class="icon-btn" data-action="layer-zoom" title="Zoom to file">⤢</button>
+      <button class="icon-btn" data-action="layer-up" title="Move up" ${idx <= 0 ? 'disabled' : ''}>↑</button>
+      <button class="icon-btn" data-action="layer-down" title="Move down" ${idx >= state.layers.length - 1 ? 'disabled' : ''}>↓</button>
+      <button class="icon-btn" data-action="layer-remove" title="Remove file">✕</button>
+    </span>
+  `;
+}
+
+function renderRow({ id, depth }) {
+  const node = state.nodesById.get(id);
+  if (!node) return '';
+
+  const hasChildren = node.children.length > 0 && !hidesChildren(node);
+  const expanded = Boolean(node.expanded);
+  const childCount = hidesChildren(node) ? node.children.length : visibleChildCount(node);
+  // Children of a radio folder are radio buttons; no name, so the tree decides which is on.
+  const inputType = state.nodesById.get(node.parentId)?.listItemType === 'radioFolder' ? 'radio' : 'checkbox';
+
+  const type = FEATURE_TYPES[node.tag] ?? { icon: '•', label: node.tag };
+  let meta;
+  if (node.isLayerRoot) {
+    meta = renderLayerActions(node);
+  } else if (node.tag === 'Document' || node.tag === 'Folder') {
+    meta = `<span class="node-meta">${childCount.toLocaleString()} items</span>`;
+  } else if (node.linkError) {
+    meta = `<span class="node-meta warn" title="${escapeText(node.linkError)}">${type.label} • not resolved</span>`;
+  } else if (node.unbound) {
+    meta = `<span class="node-meta warn" title="Cesium rendered no entity for this feature">${type.label} • not rendered</span>`;
+  } else if (hasChildren) {
+    meta = `<span class="node-meta">${type.label} • ${childCount.toLocaleString()} items</span>`;
+  } else {
+    meta = `<span class="node-meta">${type.label}</span>`;
+  }
+
+  const change = versionDiff?.changes.get(node.id);
+  if (change) meta = diffBadge(change) + meta;
+
+  const twistyDisabled = !hasChildren || childCount === 0;
+  const twistyLabel = expanded ? '−' : '+';
+
+  const layer = node.isLayerRoot ? getLayer(node.layerId) : null;
+  const name = layer
+    ? `${escapeText(layer.fileName)} <span class="node-meta">${escapeText(node.name)}</span>`
+    : escapeText(node.name);
+
+  const classes = ['tree-item'];
+  if (node.isLayerRoot) classes.push('layer-item');
+  if (node.id === state.selectedNodeId) classes.push('selected');
+
+  return `
+    <div class="${classes.join(' ')}" data-node-id="${node.id}" style="padding-left: ${8 + depth * TREE_INDENT}px">
+      <button class="twisty" data-action="toggle" ${twistyDisabled ? 'disabled' : ''}>${twistyLabel}</button>
+      <label class="node-name">
+        <input type="${inputType}" data-action="check" data-node-id="${node.id}" />
+        <span class="node-icon" title="${type.label}" aria-hidden="true">${type.icon}</span>
+        <span class="node-text" data-action="select">${name}</span>
+      </label>
+      ${meta}
+    </div>
+  `;
+}
+
+function toggleExpanded(nodeId) {
+  const node = state.nodesById.get(nodeId);
+  if (!node || node.children.length === 0 || hidesChildren(node)) return;
+  node.expanded = !node.expanded;
+  scheduleSessionSave();
+
+  // Splice only this node's descendants in or out of the flat row list.
+  const idx = state.rows.findIndex((r) => r.id === nodeId);
+  if (idx < 0) {
+    renderTree();
+    return;
+  }
+  const depth = state.rows[idx].depth;
+  let end = idx + 1;
+  while (end < state.rows.length && state.rows[end].depth > depth) end += 1;
+  const replacement = node.expanded ? appendRows(nodeId, depth, []).slice(1) : [];
+  state.rows.splice(idx + 1, end - idx - 1, ...replacement);
+
+  renderedRange = { start: -1, end: -1 };
+  renderVisibleRows();
+}
+
+function onTreeCheckChange(inp) {
+  const id = inp.getAttribute('data-node-id');
+  const node = id && state.nodesById.get(id);
+  if (!node) return;
+  if (node.isLayerRoot) {
+    // Hiding a file keeps its inner toggles so showing it again restores them.
+    toggleVersion += 1;
+    node.checked = inp.checked;
+    node.indeterminate = false;
+    refreshRenderedRows();
+    applyVisibilityFromTree(id);
+    return;
+  }
+
+  // Siblings in a radio folder change too, and an ancestor can flip (a folder goes
+  // off with its last child), which changes everything under it: the globe is
+  // updated from the highest node that changed.
+  const parent = state.nodesById.get(node.parentId);
+  const ancestors = [];
+  for (let a = parent; a; a = state.nodesById.get(a.parentId)) ancestors.push([a, a.checked]);
+  let changedFrom = id;
+  if (inp.checked && parent?.listItemType === 'radioFolder') {
+    for (const siblingId of parent.children) {
+      if (siblingId !== id) setCheckedRecursive(siblingId, false);
+    }
+    changedFrom = parent.id;
+  }
+  setCheckedRecursive(id, inp.checked);
+  if (node.parentId) recomputeIndeterminateUp(node.parentId);
+  for (const [a, was] of ancestors) {
+    if (a.checked !== was) changedFrom = a.id;
+  }
+  refreshRenderedRows();
+  applyVisibilityFromTree(changedFrom);
+}
+
+async function onLayerAction(btn) {
+  const id = btn.closest('[data-node-id]')?.getAttribute('data-node-id');
+  const layerId = state.nodesById.get(id)?.layerId;
+  if (!layerId) return;
+  const action = btn.getAttribute('data-action');
+  if (action === 'layer-zoom') await zoomToLayer(layerId);
+  else if (action === 'layer-up') moveLayer(layerId, -1);
+  else if (action === 'layer-down') moveLayer(layerId, 1);
+  else if (action === 'layer-remove') await removeLayer(layerId);
+}
+
+function setupTreeEvents() {
+  if (!els.tree) return;
+
+  els.tree.addEventListener('click', (e) => {
+    const text = e.target.closest('[data-action="select"]');
+    if (text && els.tree.contains(text)) {
+      // Clicking the name selects; only the box itself toggles visibility.
+      e.preventDefault();
+      selectNode(text.closest('[data-node-id]')?.getAttribute('data-node-id'), { fly: true });
+      return;
+    }
+
+    const btn = e.target.closest('button[data-action]');
+    if (!btn || !els.tree.contains(btn)) return;
+    if (btn.getAttribute('data-action') === 'toggle') {
+      toggleExpanded(btn.closest('[data-node-id]')?.getAttribute('data-node-id'));
+    } else if (btn.closest('.layer-actions')) {
+      onLayerAction(btn);
+    }
+  });
+
+  els.tree.addEventListener('change', (e) => {
+    const inp = e.target;
+    if (inp?.matches?.('input[data-action="check"]')) onTreeCheckChange(inp);
+  });
+
+  els.tree.addEventListener('scroll', () => {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = 0;
+      renderVisibleRows();
+    });
+  }, { passive: true });
+
+  window.addEventListener('resize', () => {
+    renderedRange = { start: -1, end: -1 };
+    renderVisibleRows();
+  });
+}
+
+// ---------- Selection & details ----------
+
+// One selection for the globe and the tree: picking an entity reveals its node,
+// and selecting a node flies to and selects its entities.
+
+function nodeLayer(nodeId) {
+  const node = state.nodesById.get(nodeId);
+  return node ? getLayer(node.layerId) : null;
+}
+
+function revealNode(nodeId) {
+  // Expand every ancestor and scroll the row into view. A node inside a
+  // checkHideChildren folder is shown by that folder's row instead.
+  let target = nodeId;
+  const ancestors = [];
+  for (let n = state.nodesById.get(state.nodesById.get(nodeId)?.parentId); n; n = state.nodesById.get(n.parentId)) {
+    ancestors.push(n);
+  }
+  for (const a of ancestors) {
+    a.expanded = true;
+    if (hidesChildren(a)) target = a.id;
+  }
+
+  if (state.filterMatches && !state.filterMatches.has(target)) {
+    // The filter hides it: clear the search so the selection is visible.
+    state.filterText = '';
+    if (els.search) els.search.value = '';
+    computeFilterMatches();
+  }
+
+  renderTree();
+  const idx = state.rows.findIndex((r) => r.id === target);
+  const spacer = els.tree?.querySelector(':scope > .tree-spacer');
+  if (idx >= 0 && spacer) {
+    const rowTop = spacer.offsetTop + idx * TREE_ROW_HEIGHT;
+    const { scrollTop, clientHeight } = els.tree;
+    if (rowTop < scrollTop || rowTop + TREE_ROW_HEIGHT > scrollTop + clientHeight) {
+      els.tree.scrollTop = Math.max(0, rowTop - (clientHeight - TREE_ROW_HEIGHT) / 2);
+    }
+    renderedRange = { start: -1, end: -1 };
+    renderVisibleRows();
+  }
+  return target;
+}
+
+async function selectNode(nodeId, { fly = false, reveal = false } = {}) {
+  const node = nodeId ? state.nodesById.get(nodeId) : null;
+  state.selectedNodeId = node ? node.id : null;
+  if (node && reveal) state.selectedNodeId = revealNode(node.id);
+
+  renderedRange = { start: -1, end: -1 };
+  renderVisibleRows();
+  renderDetails();
+  scheduleDeepLinkUpdate();
+
+  if (!node || !fly || !viewer) return;
+  const entities = nodeLayer(node.id)?.nodeToEntity.get(node.id) ?? [];
+  if (!entities.length) return;
+  if (viewer.selectedEntity !== entities[0]) viewer.selectedEntity = entities[0];
+  try {
+    await viewer.flyTo(entities);
+  } catch {
+    try { await viewer.zoomTo(entities); } catch { /* ignore */ }
+  }
+}
+
+function onGlobeSelection(entity) {
+  if (isMeasurementEntity(entity)) {
+    viewer.selectedEntity = undefined;
+    return;
+  }
+  if (!entity) {
+    if (state.selectedNodeId) selectNode(null);
+    return;
+  }
+  for (const layer of state.layers) {
+    const nodeId = findBoundNodeId(layer, entity);
+    if (!nodeId) continue;
+    // Selecting from the tree sets viewer.selectedEntity too; don't re-reveal that.
+    if (nodeId !== state.selectedNodeId) selectNode(nodeId, { reveal: true });
+    return;
+  }
+}
+
+function entityCoordinates(entity) {
+  // The KML's own position, not the exaggerated one on screen (see Altitude).
+  const time = viewer?.clock?.currentTime;
+  const kml = entity.kmlGeometry;
+  let position = kml?.position ?? entity.position?.getValue(time);
+  if (!position) {
+    const positions = kml?.positions ?? kml?.hierarchy?.positions
+      ?? entity.polyline?.positions?.getValue(time)
+      ?? entity.polygon?.hierarchy?.getValue(time)?.positions;
+    position = positions?.[0];
+  }
+  if (!position) return null;
+  const c = Cesium.Cartographic.fromCartesian(position);
+  return {
+    lon: Cesium.Math.toDegrees(c.longitude),
+    lat: Cesium.Math.toDegrees(c.latitude),
+    alt: c.height,
+  };
+}
+
+function renderDetails() {
+  if (!els.details || !els.detailsBody) return;
+  const node = state.nodesById.get(state.selectedNodeId);
+  const layer = node ? getLayer(node.layerId) : null;
+  if (!node || !layer) {
+    els.details.hidden = true;
+    els.detailsBody.innerHTML = '';
+    return;
+  }
+
+  const type = FEATURE_TYPES[node.tag] ?? { icon: '•', label: node.tag };
+  const path = [layer.fileName, ...nodePath(layer, node.id).slice(0, -1)];
+  const entities = layer.nodeToEntity.get(node.id) ?? [];
+  const entity = entities.find((e) => e.position || e.polyline || e.polygon) ?? entities[0];
+
+  const rows = [];
+  const coord = entity ? entityCoordinates(entity) : null;
+  if (coord) {
+    rows.push(['Longitude', coord.lon.toFixed(6)], ['Latitude', coord.lat.toFixed(6)]);
+    rows.push(['Altitude', `${coord.alt.toFixed(1)} m`], ['Drawn', drawnAltitude(coord.alt)]);
+  }
+
+  // The worker keeps Data and SchemaData values on the node; Cesium only has Data
+  // (as entity.kml.extendedData: { name: { displayName, value } }), but with display names.
+  const cesiumData = entity?.kml?.extendedData ?? {};
+  const dataRows = Object.entries(node.data ?? {})
+    .map(([name, value]) => [cesiumData[name]?.displayName || name, value]);
+
+  const table = (list) => `
+    <table class="details-table">
+      ${list.map(([k, v]) => `<tr><th>${escapeText(k)}</th><td>${escapeText(v)}</td></tr>`).join('')}
+    </table>
+  `;
+
+  els.detailsBody.innerHTML = `
+    <div class="details-name">${type.icon} ${escapeText(node.name)}</div>
+    <div class="details-path muted small">${path.map(escapeText).join(' → ')}</div>
+    <div class="muted small">${type.label}${node.unbound ? ' • not rendered' : ''}</div>
+    ${rows.length ? table(rows) : ''}
+    ${dataRows.length ? `<div class="label">Extended data</div>${table(dataRows)}` : ''}
+  `;
+  els.details.hidden = false;
+}
+
+// ---------- Layers (one per loaded file) ----------
+
+function getLayer(layerId) {
+  return state.layers.find((l) => l.id === layerId) || null;
+}
+
+function assembleKml(parts, documentUrls) {
+  // The worker leaves a slot wherever a NetworkLink points at a document it expanded.
+  const chunks = parts.map((p) => (p instanceof Blob ? p : escapeText(documentUrls.get(p.slot) ?? p.href)));
+  return new Blob(chunks, { type: 'application/vnd.google-earth.kml+xml' });
+}
+
+function createLayer({ id, fileName, result, assets }) {
+  // `result` comes from kml-worker.js: plain node objects in parent-before-child order.
+  const nodesById = new Map();
+  for (const n of result.nodes) nodesById.set(n.id, n);
+
+  // Linked documents are listed parent-before-child, so build them in reverse:
+  // a document's own links already have URLs when its blob is assembled.
+  const documentUrls = new Map(); // NetworkLink node id -> blob URL of its document
+  for (const [nodeId, parts] of Object.entries(result.documents).reverse()) {
+    documentUrls.set(nodeId, URL.createObjectURL(assembleKml(parts, documentUrls)));
+  }
+
+  return {
+    id,
+    fileName,
+    kmlBlob: assembleKml(result.kmlParts, documentUrls), // the KML as handed to Cesium (ids bound, refs resolved)
+    assets, // KMZ archive path -> blob URL
+    assetPaths: null, // the reverse, built when first needed (see sourceDescription)
+    documentUrls,
+    nodesById, // this layer's nodes; also merged into state.nodesById
+    rootNodeId: result.rootNodeId,
+    totals: result.totals,
+    placemarkIndex: new Map(result.placemarks), // placemark node id -> { path, key }
+    nodeToEntity: new Map(), // feature node id -> Cesium.Entity[]
+    unboundNodeIds: [], // features Cesium rendered no entity for
+    shownCount: 0, // placemarks shown on the globe (see applyLayerVisibility)
+    labelsHidden: null, // label/billboard state last applied to the entities
+    issues: result.issues, // problems kml-worker.js found while parsing (see Diagnostics)
+    screenOverlays: new Map(), // ScreenOverlay node id -> <img> over the viewer
+    rebindTimer: 0,
+    dataSource: null,
+  };
+}
+
+// Cesium draws ScreenOverlays only into a DOM container and does not support
+// PhotoOverlays at all, so both are drawn here from what the worker read.
+
+function overlayOffset(xy, axis, fallback) {
+  const v = Number(xy?.[axis] ?? fallback);
+  const units = xy?.[`${axis}units`] || 'fraction';
+  if (units === 'pixels') return `${v}px`;
+  if (units === 'insetPixels') return `calc(100% - ${v}px)`;
+  return `${v * 100}%`;
+}
+
+function overlaySize(size, axis) {
+  const v = Number(size?.[axis] ?? -1);
+  // -1 keeps the image size and 0 keeps its aspect ratio.
+  if (!(v > 0)) return 'auto';
+  return size?.[`${axis}units`] === 'pixels' ? `${v}px` : `${v * 100}%`;
+}
+
+function addScreenOverlays(layer) {
+  const host = viewer?.container;
+  if (!host) return;
+  let container = host.querySelector(':scope > .screen-overlays');
+  if (!container) {
+    container = document.createElement('div');
+    container.className = 'screen-overlays';
+    host.appendChild(container);
+  }
+
+  for (const node of layer.nodesById.values()) {
+    if (node.tag !== 'ScreenOverlay' || !node.overlay?.href) continue;
+    const { href, overlayXY, screenXY, size } = node.overlay;
+    const img = document.createElement('img');
+    img.className = 'screen-overlay';
+    img.alt = node.name;
+    img.src = href;
+    // KML measures y from the bottom; the overlayXY point of the image lands on screenXY.
+    img.style.left = overlayOffset(screenXY, 'x', 0);
+    img.style.bottom = overlayOffset(screenXY, 'y', 0);
+    img.style.width = overlaySize(size, 'x');
+    img.style.height = overlaySize(size, 'y');
+    img.style.transform = `translate(calc(-1 * ${overlayOffset(overlayXY, 'x', 0)}), ${overlayOffset(overlayXY, 'y', 0)})`;
+    img.addEventListener('error', () => {
+      node.unbound = true;
+      renderedRange = { start: -1, end: -1 };
+      renderVisibleRows();
+    });
+    container.appendChild(img);
+    layer.screenOverlays.set(node.id, img);
+  }
+}
+
+function addPhotoOverlays(layer) {
+  for (const node of layer.nodesById.values()) {
+    if (node.tag !== 'PhotoOverlay' || !node.overlay?.href || !node.overlay.coord) continue;
+    const { href, coord } = node.overlay;
+    // The node id as entity id binds it like any KML entity.
+    layer.dataSource.entities.add({
+      id: node.id,
+      name: node.name,
+      position: Cesium.Cartesian3.fromDegrees(coord.lon, coord.lat),
+      billboard: {
+        image: href,
+        width: 64,
+        height: 64,
+        heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      },
+    });
+  }
+}
+
+function syncDataSourceOrder() {
+  if (!viewer) return;
+  // The first layer in the tree draws on top: raise from the bottom of the list up.
+  for (let i = state.layers.length - 1; i >= 0; i--) {
+    const ds = state.layers[i].dataSource;
+    if (ds && viewer.dataSources.contains(ds)) viewer.dataSources.raiseToTop(ds);
+  }
+}
+
+function moveLayer(layerId, delta) {
+  const idx = state.layers.findIndex((l) => l.id === layerId);
+  const to = idx + delta;
+  if (idx < 0 || to < 0 || to >= state.layers.length) return;
+  const [layer] = state.layers.splice(idx, 1);
+  state.layers.splice(to, 0, layer);
+  syncDataSourceOrder();
+  renderTree();
+}
+
+async function removeLayer(layerId) {
+  const layer = getLayer(layerId);
+  if (!layer) return;
+
+  state.layers = state.layers.filter((l) => l !== layer);
+  for (const id of layer.nodesById.keys()) state.nodesById.delete(id);
+  toggleVersion += 1;
+  if (layer.nodesById.has(state.selectedNodeId)) {
+    state.selectedNodeId = null;
+    renderDetails();
+  }
+  clearTimeout(layer.rebindTimer);
+  for (const img of layer.screenOverlays.values()) img.remove();
+  if (layer.dataSource && viewer) {
+    try { await viewer.dataSources.remove(layer.dataSource, true); } catch { /* ignore */ }
+  }
+  revokeAssetUrls(layer.assets);
+  revokeAssetUrls(layer.documentUrls);
+
+  updateLayerControls();
+  updateTimeline();
+  if (stylesApplied) applyStyles();
+  renderDiagnostics();
+  computeFilterMatches();
+  renderTree();
+  if (state.layers.length) {
+    applyVisibilityFromTree();
+  } else {
+    setStatus('Ready. Load a KML to begin.');
+    notifyVisibilityChange();
+  }
+}
+
+async function zoomToLayer(layerId) {
+  const ds = getLayer(layerId)?.dataSource;
+  if (!viewer || !ds) return;
+  try {
+    await viewer.flyTo(ds);
+  } catch {
+    try { await viewer.zoomTo(ds); } catch { /* ignore */ }
+  }
+}
+
+async function zoomToAllLayers() {
+  if (!viewer || !state.layers.length) return;
+  if (state.layers.length === 1) {
+    await zoomToLayer(state.layers[0].id);
+    return;
+  }
+  const entities = state.layers.flatMap((l) => (l.dataSource?.show ? l.dataSource.entities.values : []));
+  try { await viewer.zoomTo(entities); } catch { /* ignore */ }
+}
+
+function updateLayerControls() {
+  const hasData = state.layers.length > 0;
+  for (const b of [els.zoomTo, els.expandAll, els.collapseAll, els.checkAll, els.uncheckAll, els.exportKml, els.exportKmz, els.exportGeoJson, els.exportCsv, els.exportVisibleOnly, els.openCompare, els.openDiff, els.openStyle]) {
+    if (b) b.disabled = !hasData;
+  }
+  syncDiffLayers();
+  if (els.addBookmark) els.addBookmark.disabled = !hasData;
+  if (els.search) els.search.disabled = !hasData;
+  if (els.searchGlobe) els.searchGlobe.disabled = !hasData;
+
+  if (els.kmlInfo) {
+    if (!hasData) {
+      els.kmlInfo.textContent = 'No file loaded.';
+    } else {
+      const totals = computeTotals();
+      const names = state.layers.map((l) => l.fileName).join(', ');
+      els.kmlInfo.textContent = `${names} • ${formatTotals(totals)}`;
+    }
+  }
+}
+
+// ---------- Load KML ----------
+
+// Tree and index building run in kml-worker.js so the UI stays responsive; only
+// the final Cesium load runs here. That step is Cesium's own KML parser (a
+// DOMParser over the whole document), so for very large files the page still
+// pauses while the 3D scene is built. A load can be cancelled at any point and
+// leaves the already loaded layers untouched.
+
+let activeLoad = null; // { cancelled, worker, reject }
+
+function formatBytes(n) {
+  if (n >= 1024 * 1024 * 1024) return `${(n / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if (n >= 1024) return `${(n / 1024).toFixed(0)} KB`;
+  return `${n} B`;
+}
+
+function showLoadProgress({ label, fraction }) {
+  if (els.loadProgress) els.loadProgress.hidden = false;
+  if (els.loadProgressText) els.loadProgressText.textContent = label;
+  if (els.loadProgressBar) {
+    // An indeterminate bar (no value) while Cesium builds the 3D scene.
+    if (fraction === null) els.loadProgressBar.removeAttribute('value');
+    else els.loadProgressBar.value = fraction;
+  }
+}
+
+function hideLoadProgress() {
+  if (els.loadProgress) els.loadProgress.hidden = true;
+}
+
+function cancelledError() {
+  return new DOMException('Load cancelled.', 'AbortError');
+}
+
+function throwIfCancelled(load) {
+  if (load.cancelled) throw cancelledError();
+}
+
+function untilCancelled(promise, load, dispose) {
+  // Cesium's load cannot be interrupted: a cancelled load stops waiting for it at
+  // once and throws away what it builds when it finishes.
+  return new Promise((resolve, reject) => {
+    load.reject = reject;
+    promise.then((value) => {
+      load.reject = null;
+      if (load.cancelled) dispose(value);
+      else resolve(value);
+    }, (e) => {
+      load.reject = null;
+      reject(e);
+    });
+  });
+}
+
+function cancelActiveLoad() {
+  const load = activeLoad;
+  if (!load || load.cancelled) return;
+  load.cancelled = true;
+  load.worker?.terminate();
+  load.reject?.(cancelledError());
+  setStatus('Cancelling…');
+}
+
+// Files picked together (a folder, or several files at once) can reference each
+// other: NetworkLinks to another .kml and relative icon paths resolve within the pick.
+
+function selectionPath(file) {
+  // Folder picks report "Picked/sub/a.kml"; paths are relative to the picked folder.
+  const rel = file.webkitRelativePath;
+  return rel ? rel.slice(rel.indexOf('/') + 1) : file.name;
+}
+
+function pickFolderEntries(files) {
+  // Like a KMZ: a top-level doc.kml is the one document, otherwise every top-level file loads.
+  const top = files.filter((f) => !selectionPath(f).includes('/') && /\.km[lz]$/i.test(f.name));
+  const doc = top.find((f) => f.name.toLowerCase() === 'doc.kml');
+  return doc ? [doc] : top;
+}
+
+function selectionSource(file, selection) {
+  // What a layer is loaded from; a saved session stores exactly this (see saveSource).
+  const source = {
+    name: file.name,
+    file,
+    mainPath: selectionPath(file),
+    documents: new Map(), // selection path -> .kml File
+    assetFiles: new Map(), // selection path -> any other File
+  };
+  if (/\.kmz$/i.test(file.name)) return source;
+  for (const f of selection) {
+    const path = selectionPath(f);
+    if (/\.kml$/i.test(path)) source.documents.set(path, f);
+    else if (!/\.kmz$/i.test(path)) source.assetFiles.set(path, f);
+  }
+  return source;
+}
+
+async function openKmlSource(source) {
+  const { file } = source;
+  const head = await file.slice(0, 4).arrayBuffer();
+  if (isZipBuffer(head)) {
+    setStatus(`Reading KMZ ${source.name}…`);
+    return readKmz(await file.arrayBuffer());
+  }
+
+  const assets = new Map(); // selection path -> blob URL
+  for (const [path, f] of source.assetFiles) assets.set(path, URL.createObjectURL(f));
+  return { blob: file, mainPath: source.mainPath, assets, documents: source.documents };
+}
+
+function parseKmlInWorker({ blob, layerId, fileName, mainPath, assets, documents }, load) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(`./kml-worker.js?v=${APP_VERSION}`);
+    load.worker = worker;
+    load.reject = reject;
+
+    const finish = () => {
+      worker.terminate();
+      load.worker = null;
+      load.reject = null;
+    };
+
+    worker.addEventListener('message', (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        const fraction = msg.totalBytes ? msg.bytes / msg.totalBytes : 0;
+        showLoadProgress({
+          label: `${fileName}: ${msg.placemarks.toLocaleString()} placemarks • ` +
+            `${formatBytes(msg.bytes)} of ${formatBytes(msg.totalBytes)}`,
+          fraction,
+        });
+      } else if (msg.type === 'done') {
+        finish();
+        resolve(msg.result);
+      } else if (msg.type === 'error') {
+        finish();
+        reject(new Error(`${fileName}: ${msg.message}`));
+      }
+    });
+    worker.addEventListener('error', (e) => {
+      finish();
+      reject(new Error(`${fileName}: ${e.message || 'KML worker failed.'}`));
+    });
+
+    worker.postMessage({
+      type: 'parse',
+      file: blob,
+      layerId,
+      mainPath,
+      assets: Object.fromEntries(assets),
+      siblings: Object.fromEntries(documents),
+    });
+  });
+}
+
+async function loadKml(source, load) {
+  initCesium();
+
+  const fileName = source.name;
+  const { blob, mainPath, assets, documents } = await openKmlSource(source);
+  let layer;
+  try {
+    throwIfCancelled(load);
+    const layerId = `L${nextLayerNumber++}`;
+    showLoadProgress({ label: `${fileName}: starting…`, fraction: 0 });
+    const result = await parseKmlInWorker({ blob, layerId, fileName, mainPath, assets, documents }, load);
+    throwIfCancelled(load);
+
+    layer = createLayer({ id: layerId, fileName, result, assets });
+    layer.source = source;
+    layer.sourceId = source.id ?? null; // set once the source is stored for sessions
+
+    setStatus(`Loading ${fileName} into 3D viewer…`);
+    showLoadProgress({
+      label: `${fileName}: ${layer.totals.placemarks.toLocaleString()} placemarks • building 3D scene ` +
+        `(${formatBytes(layer.kmlBlob.size)}; the page may pause)…`,
+      fraction: null,
+    });
+
+    // Cesium loads the worker's output: feature ids already match tree node ids,
+    // KMZ references point at archive blob URLs and expanded NetworkLinks at their documents.
+    const cesiumLoad = Cesium.KmlDataSource.load(layer.kmlBlob, {
+      camera: viewer.scene.camera,
+      canvas: viewer.scene.canvas,
+      // Unclamped, so the absolute altitudes in Results Archive KML survive;
+      // the Altitude row decides how they are drawn (applyAltitudes below).
+      clampToGround: false,
+    });
+    layer.dataSource = await untilCancelled(cesiumLoad, load, (ds) => ds.entities.removeAll());
+    throwIfCancelled(load);
+  } catch (e) {
+    revokeAssetUrls(assets);
+    revokeAssetUrls(layer?.documentUrls);
+    throw e;
+  }
+
+  // New files go to the top of the Places tree and draw above older ones.
+  state.layers.unshift(layer);
+  for (const [id, node] of layer.nodesById) state.nodesById.set(id, node);
+  initLayerChecks(layer);
+  rememberDefaultTreeState(layer);
+  if (source.treeState) applyTreeState(layer, source.treeState);
+
+  addPhotoOverlays(layer);
+  addScreenOverlays(layer);
+  await viewer.dataSources.add(layer.dataSource);
+  applyClustering([layer]);
+  syncDataSourceOrder();
+  rebuildNodeToEntityMap(layer);
+  applyAltitudes([layer]);
+  layer.dataSource.entities.collectionChanged.addEventListener(() => scheduleRebind(layer));
+  applyVisibilityFromTree();
+  updateTimeline();
+  if (stylesApplied) applyStyles();
+  updateLayerControls();
+
+  computeFilterMatches();
+  renderTree();
+  return layer;
+}
+
+async function loadKmlFiles(files, selection = files) {
+  return loadSources(files.map((f) => selectionSource(f, selection)));
+}
+
+async function loadSources(sources, { zoom = true } = {}) {
+  if (activeLoad) return [];
+  const load = { cancelled: false, worker: null, reject: null };
+  activeLoad = load;
+  if (els.kmlInput) els.kmlInput.disabled = true;
+  if (els.folderInput) els.folderInput.disabled = true;
+
+  const loaded = [];
+  const failed = [];
+  try {
+    for (const source of sources) {
+      if (load.cancelled) break;
+      try {
+        loaded.push(await loadKml(source, load));
+      } catch (err) {
+        if (err?.name === 'AbortError') break;
+        console.error(err);
+        failed.push(err?.message ?? String(err));
+      }
+    }
+  } finally {
+    activeLoad = null;
+    hideLoadProgress();
+    if (els.kmlInput) els.kmlInput.disabled = false;
+    if (els.folderInput) els.folderInput.disabled = false;
+  }
+  loadFailures = failed;
+  renderDiagnostics();
+
+  // A link's camera replaces the zoom to the new data.
+  const link = loaded.length ? takePendingDeepLink() : null;
+  if (loaded.length && zoom && !link?.camera) {
+    // Zoom (prefer flyTo for reliability)
+    if (loaded.length === 1) await zoomToLayer(loaded[0].id);
+    else await zoomToAllLayers();
+  }
+  if (link) applyDeepLink(link);
+
+  if (load.cancelled) {
+    const kept = state.layers.length ? ' Previously loaded files are unchanged.' : '';
+    setStatus(`Load cancelled.${kept}`);
+  } else if (failed.length) {
+    setStatus(`Load failed: ${failed.join(' • ')}`);
+    if (!state.layers.length && els.tree) els.tree.innerHTML = '<div class="placeholder">Failed to load KML.</div>';
+  } else if (loaded.length) {
+    const unbound = loaded.reduce((sum, l) => sum + l.unboundNodeIds.length, 0);
+    setStatus(unbound
+      ? `Ready. ${unbound.toLocaleString()} feature${unbound === 1 ? '' : 's'} could not be bound to a rendered entity (marked "not rendered" in Places; see Diagnostics).`
+      : 'Ready. Use the Places tree to toggle layers.');
+  }
+  return loaded;
+}
+
+// ---------- Diagnostics ----------
+
+// Problems that would otherwise only show as missing features. Files that failed
+// to load are kept from the last load; the rest come from the loaded layers:
+// what kml-worker.js noticed while parsing, plus features Cesium rendered no
+// entity for. Each row links to its tree node.
+
+const ISSUE_KINDS = {
+  xml: 'XML error',
+  coordinates: 'Bad coordinates',
+  duplicate: 'Duplicate placemark',
+  style: 'Unresolved style',
+  unrendered: 'Not rendered',
+  emptyFolder: 'Empty folder',
+};
+const DIAGNOSTICS_MAX_ROWS = 500;
+
+let loadFailures = []; // messages of the files the last load could not read
+
+function collectIssues() {
+  const issues = loadFailures.map((message) => ({ kind: 'xml', message, layer: null, nodeId: null }));
+  for (const layer of state.layers) {
+    for (const issue of layer.issues ?? []) issues.push({ ...issue, layer });
+    for (const nodeId of layer.unboundNodeIds) {
+      issues.push({ kind: 'unrendered', nodeId, layer, message: 'Cesium rendered no entity for this feature.' });
+    }
+  }
+  const order = Object.keys(ISSUE_KINDS);
+  return issues.sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind));
+}
+
+function issueMessage({ message, relatedId, layer }) {
+  if (!relatedId || !layer?.nodesById.has(relatedId)) return message;
+  return `${message} First: ${nodePath(layer, relatedId).join(' / ')}`;
+}
+
+function renderDiagnostics() {
+  const issues = collectIssues();
+  if (els.openDiagnostics) {
+    els.openDiagnostics.textContent = issues.length ? `Diagnostics (${issues.length.toLocaleString()})` : 'Diagnostics';
+    els.openDiagnostics.disabled = !issues.length && !state.layers.length;
+  }
+  if (!els.diagnosticsBody || els.diagnostics?.hidden) return;
+
+  const counts = new Map();
+  for (const i of issues) counts.set(i.kind, (counts.get(i.kind) ?? 0) + 1);
+  const kind = counts.has(els.diagnosticsKind?.value) ? els.diagnosticsKind.value : '';
+  if (els.diagnosticsKind) {
+    els.diagnosticsKind.innerHTML = `<option value="">All (${issues.length.toLocaleString()})</option>` +
+      Object.entries(ISSUE_KINDS).filter(([k]) => counts.has(k))
+        .map(([k, label]) => `<option value="${k}">${label} (${counts.get(k).toLocaleString()})</option>`).join('');
+    els.diagnosticsKind.value = kind;
+  }
+
+  if (!issues.length) {
+    els.diagnosticsBody.innerHTML = '<div class="muted small">No problems found in the loaded files.</div>';
+    return;
+  }
+  const shown = kind ? issues.filter((i) => i.kind === kind) : issues;
+  const rows = shown.slice(0, DIAGNOSTICS_MAX_ROWS).map((i) => {
+    const node = i.nodeId ? state.nodesById.get(i.nodeId) : null;
+    const feature = node ? nodePath(i.layer, node.id).join(' / ') : '';
+    const link = node ? ` data-node-id="${escapeText(node.id)}" title="Show in Places"` : '';
+    return `<tr${link}><td>${ISSUE_KINDS[i.kind]}</td><td>${escapeText(i.layer?.fileName ?? '')}</td>` +
+      `<td>${escapeText(feature)}</td><td>${escapeText(issueMessage(i))}</td></tr>`;
+  }).join('');
+  const more = shown.length > DIAGNOSTICS_MAX_ROWS
+    ? `<div class="muted small">Showing ${DIAGNOSTICS_MAX_ROWS.toLocaleString()} of ${shown.length.toLocaleString()}; pick a kind to narrow the list.</div>`
+    : '';
+  els.diagnosticsBody.innerHTML = `
+    <table class="report-table report-rows">
+      <thead><tr><th>Problem</th><th>File</th><th>Feature</th><th>Details</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${more}`;
+}
+
+// ---------- Export ----------
+
+// "Export visible" writes each layer's visible features back out as KML or KMZ.
+// The worker copies the layer's original documents through and drops what is off
+// (see Export in kml-worker.js), so styles, ExtendedData and everything else
+// about the kept features survive untouched. Placemarks can also be exported as
+// GeoJSON or CSV; their full geometry is read from the original documents too.
+
+function documentNodeLists(layer) {
+  // Each document's tree nodes in the order kml-worker.js created them: the main
+  // document first, then one list per expanded NetworkLink.
+  const docs = [];
+  const collect = (id, doc) => {
+    const node = layer.nodesById.get(id);
+    doc.ids.push(id);
+    let target = doc;
+    if (node.tag === 'NetworkLink' && node.linkPath && !node.linkError) {
+      target = { path: node.linkPath, linkId: id, ids: [] };
+      docs.push(target);
+    }
+    for (const childId of node.children) collect(childId, target);
+  };
+  const main = { path: null, linkId: null, ids: [] };
+  docs.push(main);
+  collect(layer.rootNodeId, main);
+  return docs;
+}
+
+function exportFlags(layer) {
+  // A leaf feature is kept when it is on; a container when anything in it is kept.
+  const kept = new Set();
+  let count = 0; // kept features, not counting containers
+  const visit = (id) => {
+    const node = layer.nodesById.get(id);
+    let keep = false;
+    if (node.children.length) {
+      for (const childId of node.children) keep = visit(childId) || keep;
+    } else {
+      keep = node.tag !== 'Document' && node.tag !== 'Folder' && getEffectiveChecked(id);
+      if (keep) count += 1;
+    }
+    if (keep) kept.add(id);
+    return keep;
+  };
+  visit(layer.rootNodeId);
+
+  // One keep and one open flag per node of each document. Documents behind links
+  // that are dropped are left out; a document linked twice keeps whatever either
+  // link keeps.
+  const flagsFor = ({ ids }) => ({
+    keep: ids.map((id) => (kept.has(id) ? 1 : 0)),
+    open: ids.map((id) => (layer.nodesById.get(id).expanded ? 1 : 0)),
+  });
+  const [main, ...linkedDocs] = documentNodeLists(layer);
+  const linked = new Map(); // linked document path -> flags
+  for (const doc of linkedDocs) {
+    if (!kept.has(doc.linkId)) continue;
+    const flags = flagsFor(doc);
+    const prev = linked.get(doc.path);
+    if (prev) flags.keep.forEach((k, i) => { prev.keep[i] |= k; });
+    else linked.set(doc.path, flags);
+  }
+  return { main: flagsFor(main), linked, count };
+}
+
+async function exportSourceFiles(source, { kmlOnly = false } = {}) {
+  // The layer's original files by path: a KMZ's entries, or the picked file and
+  // the rest of its folder.
+  if (isZipBuffer(await source.file.slice(0, 4).arrayBuffer())) {
+    const buffer = await source.file.arrayBuffer();
+    const entries = readZipDirectory(buffer);
+    const files = new Map();
+    for (const entry of entries) {
+      if (!kmlOnly || /\.kml$/i.test(entry.name)) files.set(entry.name, await readZipEntry(buffer, entry));
+    }
+    return { mainPath: pickMainKmlEntry(entries).name, files };
+  }
+  const files = new Map([[source.mainPath, source.file], ...source.documents, ...source.assetFiles]);
+  return { mainPath: source.mainPath, files };
+}
+
+function fileAtPath(files, path) {
+  // NetworkLink paths may differ in case from the file's (see lookupPath in kml-worker.js).
+  return files.get(path) ?? [...files].find(([p]) => p.toLowerCase() === path.toLowerCase())?.[1];
+}
+
+function runExportWorker(type, documents) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(`./kml-worker.js?v=${APP_VERSION}`);
+    worker.addEventListener('message', (e) => {
+      const msg = e.data;
+      if (msg?.type !== 'done' && msg?.type !== 'error') return;
+      worker.terminate();
+      if (msg.type === 'done') resolve(msg.result.documents);
+      else reject(new Error(msg.message));
+    });
+    worker.addEventListener('error', (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'KML worker failed.'));
+    });
+    worker.postMessage({ type, documents });
+  });
+}
+
+async function exportLayer(layer, format, append = '') {
+  // `append` is KML added at the end of the main document (see measurementsKml).
+  const { main, linked, count } = exportFlags(layer);
+  if (!count) return null;
+  if (format === 'kml' && linked.size) {
+    throw new Error(`${layer.fileName} includes linked documents; export it as KMZ to keep them.`);
+  }
+
+  const { mainPath, files } = await exportSourceFiles(layer.source);
+  const documents = [{ path: mainPath, blob: fileAtPath(files, mainPath), ...main, append }];
+  for (const [path, flags] of linked) documents.push({ path, blob: fileAtPath(files, path), ...flags });
+  const filtered = await runExportWorker('export', documents);
+
+  const base = layer.fileName.replace(/\.km[lz]$/i, '');
+  if (format === 'kml') return { name: `${base} (visible).kml`, blob: filtered[0].blob, count };
+
+  // The main document goes first, as readers take the first .kml; every other
+  // file of the source is copied so icons, overlays and other links still resolve.
+  const written = new Set(filtered.map((d) => d.path.toLowerCase()));
+  const entries = filtered.map((d) => ({ name: d.path, blob: d.blob }));
+  for (const [path, blob] of files) {
+    if (!written.has(path.toLowerCase())) entries.push({ name: path, blob });
+  }
+  return { name: `${base} (visible).kmz`, blob: await writeZip(entries), count };
+}
+
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+async function exportVisible(format) {
+  if (!state.layers.length) return;
+  setStatus(`Exporting visible features as ${format.toUpperCase()}…`);
+  const written = [];
+  const failed = [];
+  // Measurements go into the first file written.
+  let append = measurementsKml();
+  for (const layer of state.layers) {
+    try {
+      const out = await exportLayer(layer, format, append);
+      if (!out) continue;
+      downloadBlob(out.blob, out.name);
+      const extra = append ? ` + ${measurements.length.toLocaleString()} measurements` : '';
+      written.push(`${out.name} (${out.count.toLocaleString()} features${extra})`);
+      append = '';
+    } catch (e) {
+      console.error(e);
+      failed.push(e?.message ?? String(e));
+    }
+  }
+  if (failed.length) setStatus(`Export failed: ${failed.join(' • ')}`);
+  else if (written.length) setStatus(`Exported ${written.join(' • ')}`);
+  else setStatus('Nothing to export: every feature is switched off.');
+}
+
+// Placemark tables: one record per placemark with its folder levels below the
+// layer root (the path placemarkIndex already holds) and its ExtendedData fields.
+
+const PATH_LEVEL_COLUMNS = ['Participant', 'Location Source', 'Building'];
+
+async function readPlacemarkGeometries(layer, ids) {
+  // Placemark node id -> GeoJSON geometry (null when it has none).
+  const wanted = new Set(ids);
+  const docs = documentNodeLists(layer).filter((doc) => doc.ids.some((id) => wanted.has(id)));
+  const { mainPath, files } = await exportSourceFiles(layer.source, { kmlOnly: true });
+  const results = await runExportWorker('geometry', docs.map((doc) => ({
+    path: doc.path ?? mainPath,
+    blob: fileAtPath(files, doc.path ?? mainPath),
+    want: doc.ids.map((id) => (wanted.has(id) ? 1 : 0)),
+  })));
+  const geometries = new Map();
+  results.forEach((res, i) => {
+    for (const [index, geometry] of Object.entries(res.geometries)) geometries.set(docs[i].ids[index], geometry);
+  });
+  return geometries;
+}
+
+function firstPosition(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'GeometryCollection') return firstPosition(geometry.geometries[0]);
+  let c = geometry.coordinates;
+  while (Array.isArray(c?.[0])) c = c[0];
+  return c ?? null;
+}
+
+async function placemarkRecords(visibleOnly) {
+  const records = [];
+  for (const layer of state.layers) {
+    const ids = [...layer.placemarkIndex.keys()].filter((id) => !visibleOnly || getEffectiveChecked(id));
+    if (!ids.length) continue;
+    const geometries = await readPlacemarkGeometries(layer, ids);
+    for (const id of ids) {
+      const node = layer.nodesById.get(id);
+      records.push({
+        file: layer.fileName,
+        id: node.kmlId ?? null,
+        name: node.name,
+        geometryType: node.geometry?.[0] ?? '', // the outermost KML geometry element
+        folders: layer.placemarkIndex.get(id).path.slice(1, -1),
+        data: node.data ?? {},
+        geometry: geometries.get(id) ?? null,
+      });
+    }
+  }
+  return records;
+}
+
+function placemarkColumns(records) {
+  // One column per folder level, then one per ExtendedData field; a field named
+  // like a fixed column gets a " (data)" suffix.
+  const levels = records.reduce((max, r) => Math.max(max, r.folders.length), 0);
+  const pathColumns = Array.from({ length: levels }, (_, i) => PATH_LEVEL_COLUMNS[i] ?? `Folder ${i + 1}`);
+  const taken = new Set(['file', 'name', 'lon', 'lat', 'alt', 'geometryType', ...pathColumns]);
+  const dataColumns = new Map(); // field -> column
+  for (const r of records) {
+    for (const field of Object.keys(r.data)) {
+      if (!dataColumns.has(field)) dataColumns.set(field, taken.has(field) ? `${field} (data)` : field);
+    }
+  }
+  return { pathColumns, dataColumns };
+}
+
+function csvCell(value) {
+  let s = value == null ? '' : String(value);
+  // Spreadsheets run a cell starting with = + - @ as a formula; a leading quote
+  // keeps names and data as text. Plain numbers such as -12.5 stay numbers.
+  if (/^[=+\-@\t\r]/.test(s) && !Number.isFinite(Number(s))) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+function placemarksToCsv(records) {
+  const { pathColumns, dataColumns } = placemarkColumns(records);
+  const fields = [...dataColumns.keys()];
+  const header = ['file', 'name', 'lon', 'lat', 'alt', 'geometryType', ...pathColumns, ...dataColumns.values()];
+  const lines = [header.map(csvCell).join(',')];
+  for (const r of records) {
+    const [lon, lat, alt] = firstPosition(r.geometry) ?? [];
+    const row = [
+      r.file, r.name, lon, lat, alt, r.geometryType,
+      ...pathColumns.map((_, i) => r.folders[i]),
+      ...fields.map((f) => r.data[f]),
+    ];
+    lines.push(row.map(csvCell).join(','));
+  }
+  // The byte order mark makes Excel read the file as UTF-8.
+  return new Blob(['\ufeff', lines.join('\r\n'), '\r\n'], { type: 'text/csv' });
+}
+
+function placemarksToGeoJson(records, extraFeatures = []) {
+  const { pathColumns, dataColumns } = placemarkColumns(records);
+  const features = records.map((r) => {
+    const properties = { file: r.file, name: r.name, geometryType: r.geometryType };
+    pathColumns.forEach((column, i) => { properties[column] = r.folders[i] ?? null; });
+    for (const [field, column] of dataColumns) {
+      if (field in r.data) properties[column] = r.data[field];
+    }
+    const feature = { type: 'Feature', geometry: r.geometry, properties };
+    if (r.id) feature.id = r.id;
+    return feature;
+  });
+  features.push(...extraFeatures);
+  return new Blob([JSON.stringify({ type: 'FeatureCollection', features })], { type: 'application/geo+json' });
+}
+
+async function exportPlacemarks(format) {
+  if (!state.layers.length) return;
+  const visibleOnly = Boolean(els.exportVisibleOnly?.checked);
+  const label = format === 'csv' ? 'CSV' : 'GeoJSON';
+  setStatus(`Exporting ${visibleOnly ? 'visible ' : ''}placemarks as ${label}…`);
+  try {
+    const records = await placemarkRecords(visibleOnly);
+    if (!records.length) {
+      setStatus(visibleOnly ? 'Nothing to export: every placemark is switched off.' : 'Nothing to export: no placemarks loaded.');
+      return;
+    }
+    const base = state.layers.length === 1 ? state.layers[0].fileName.replace(/\.km[lz]$/i, '') : 'placemarks';
+    const name = `${base}${visibleOnly ? ' (visible)' : ''}.${format === 'csv' ? 'csv' : 'geojson'}`;
+    // GeoJSON also carries the measurements; CSV rows are placemarks only.
+    const extra = format === 'csv' ? [] : measurementFeatures();
+    downloadBlob(format === 'csv' ? placemarksToCsv(records) : placemarksToGeoJson(records, extra), name);
+    const extraNote = extra.length ? `, ${extra.length.toLocaleString()} measurements` : '';
+    setStatus(`Exported ${name} (${records.length.toLocaleString()} placemarks${extraNote})`);
+  } catch (e) {
+    console.error(e);
+    setStatus(`Export failed: ${e?.message ?? String(e)}`);
+  }
+}
+
+// ---------- Accuracy comparison ----------
+
+// Results Archive KML is Participant → Location Source → Building. For every
+// building this measures how far each source's placemark lies from a reference:
+// the chosen source's placemark for the same participant, or the centroid of all
+// placemarks of the building. The building is the third folder level, or the
+// placemark's own name when sources hold placemarks directly. Positions are
+// those of the rendered entities, so lines and circles meet the drawn points.
+
+const PALETTE_COLORS = ['#4f8cff', '#ff7a59', '#3ecf8e', '#f5c542', '#c77dff', '#ff5c8a', '#5ce1e6', '#b0b7c3'];
+const COMPARE_MAX_ROWS = 500; // table rows rendered; sorting picks which
+const COMPARE_MAX_LINES = 5000;
+const COMPARE_DELAY_MS = 300;
+
+let comparison = null; // { samples, sources, skipped, sort: { key, dir } }
+let comparisonSource = null; // Cesium.CustomDataSource for lines and circles
+let comparisonTimer = 0;
+
+function comparisonEntries(visibleOnly) {
+  const entries = [];
+  let skipped = 0;
+  for (const layer of state.layers) {
+    for (const [id, { path }] of layer.placemarkIndex) {
+      const folders = path.slice(1, -1);
+      if (folders.length < 2 || (visibleOnly && !getEffectiveChecked(id))) continue;
+      const entity = layer.nodeToEntity.get(id)?.[0];
+      const pos = entity ? entityCoordinates(entity) : null;
+      if (!pos) {
+        skipped += 1;
+        continue;
+      }
+      const name = path[path.length - 1];
+      entries.push({ id, participant: folders[0], source: folders[1], building: folders[2] ?? name, name, pos });
+    }
+  }
+  return { entries, skipped };
+}
+
+function centroid(points) {
+  const lon = points.reduce((sum, p) => sum + p.lon, 0) / points.length;
+  const lat = points.reduce((sum, p) => sum + p.lat, 0) / points.length;
+  return { lon, lat };
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function compareSources(entries, reference) {
+  // reference: a source name, or '' for the building centroid.
+  const samples = [];
+  for (const [building, inBuilding] of groupBy(entries, (e) => e.building)) {
+    if (!reference) {
+      const ref = centroid(inBuilding.map((e) => e.pos));
+      for (const e of inBuilding) samples.push({ ...e, group: building, ref, distance: haversineMeters(e.pos, ref) });
+      continue;
+    }
+    for (const [participant, forParticipant] of groupBy(inBuilding, (e) => e.participant)) {
+      const refs = forParticipant.filter((e) => e.source === reference);
+      if (!refs.length) continue;
+      const ref = centroid(refs.map((e) => e.pos));
+      const group = `${building}\n${participant}`;
+      for (const e of forParticipant) {
+        if (e.source !== reference) samples.push({ ...e, group, ref, distance: haversineMeters(e.pos, ref) });
+      }
+    }
+  }
+  return samples;
+}
+
+function percentile(sorted, p) {
+  // Linear interpolation between the closest ranks.
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+function distanceStats(samples) {
+  const sorted = samples.map((s) => s.distance).sort((a, b) => a - b);
+  return {
+    n: sorted.length,
+    mean: sorted.reduce((sum, d) => sum + d, 0) / sorted.length,
+    median: percentile(sorted, 0.5),
+    p95: percentile(sorted, 0.95),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+function formatMeters(m) {
+  return m < 1000 ? `${m.toFixed(1)} m` : `${(m / 1000).toFixed(2)} km`;
+}
+
+function sourceColor(source) {
+  const i = comparison?.sources.indexOf(source) ?? -1;
+  return PALETTE_COLORS[Math.max(0, i) % PALETTE_COLORS.length];
+}
+
+function refreshComparison() {
+  clearTimeout(comparisonTimer);
+  if (!els.compare || els.compare.hidden) return;
+
+  const { entries, skipped } = comparisonEntries(els.compareVisibleOnly?.checked ?? true);
+  const sources = [...new Set(entries.map((e) => e.source))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  // Keep the chosen reference even while none of its placemarks are visible.
+  const select = els.compareReference;
+  const reference = state.layers.length ? select.value : '';
+  const choices = !reference || sources.includes(reference) ? sources : [...sources, reference];
+  select.innerHTML = ['<option value="">Building centroid</option>']
+    .concat(choices.map((s) => `<option value="${escapeText(s)}">${escapeText(s)}</option>`))
+    .join('');
+  select.value = reference;
+
+  comparison = {
+    samples: compareSources(entries, reference),
+    sources,
+    reference,
+    skipped,
+    sort: comparison?.sort ?? { key: 'distance', dir: -1 },
+  };
+  renderComparison();
+  drawComparison();
+}
+
+function scheduleComparison() {
+  if (!els.compare || els.compare.hidden) return;
+  clearTimeout(comparisonTimer);
+  comparisonTimer = setTimeout(refreshComparison, COMPARE_DELAY_MS);
+}
+
+function statsTable(title, groups) {
+  const rows = [...groups]
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([name, samples]) => {
+      const s = distanceStats(samples);
+      return `<tr><th>${escapeText(name)}</th><td>${s.n.toLocaleString()}</td><td>${formatMeters(s.mean)}</td>` +
+        `<td>${formatMeters(s.median)}</td><td>${formatMeters(s.p95)}</td><td>${formatMeters(s.max)}</td></tr>`;
+    });
+  return `
+    <table class="report-table">
+      <thead><tr><th>${escapeText(title)}</th><th>n</th><th>Mean</th><th>Median</th><th>p95</th><th>Max</th></tr></thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>`;
+}
+
+const COMPARE_COLUMNS = [
+  ['building', 'Building'],
+  ['participant', 'Participant'],
+  ['source', 'Source'],
+  ['name', 'Placemark'],
+  ['distance', 'Distance'],
+];
+
+function renderComparison() {
+  if (!els.compareBody || !comparison) return;
+  const { samples, reference, skipped, sort } = comparison;
+  const against = reference ? `the ${reference} placemark of the same participant` : 'the building centroid';
+  const skippedNote = skipped ? ` • ${skipped.toLocaleString()} placemark${skipped === 1 ? '' : 's'} without a rendered position skipped` : '';
+
+  if (!samples.length) {
+    const hint = els.compareVisibleOnly?.checked ? ', and only visible placemarks count' : '';
+    els.compareBody.innerHTML = `<div class="muted small">Nothing to compare against ${escapeText(against)}. ` +
+      `Placemarks need Participant and Location Source folders above them${hint}.${escapeText(skippedNote)}</div>`;
+    return;
+  }
+
+  const sorted = samples.slice().sort((a, b) => {
+    const x = a[sort.key];
+    const y = b[sort.key];
+    const cmp = typeof x === 'number' ? x - y : String(x).localeCompare(String(y), undefined, { numeric: true });
+    return cmp * sort.dir;
+  });
+  const shown = sorted.slice(0, COMPARE_MAX_ROWS);
+  const head = COMPARE_COLUMNS.map(([key, label]) => {
+    const arrow = sort.key === key ? (sort.dir > 0 ? ' ▲' : ' ▼') : '';
+    return `<th data-sort="${key}" title="Sort by ${label.toLowerCase()}">${label}${arrow}</th>`;
+  }).join('');
+  const rows = shown.map((s) => `
+    <tr data-node-id="${escapeText(s.id)}" title="Fly to this placemark">
+      <td>${escapeText(s.building)}</td><td>${escapeText(s.participant)}</td>
+      <td><span class="swatch" style="background:${sourceColor(s.source)}"></span>${escapeText(s.source)}</td>
+      <td>${escapeText(s.name)}</td><td>${formatMeters(s.distance)}</td>
+    </tr>`).join('');
+  const more = sorted.length > shown.length
+    ? `<div class="muted small">Showing ${shown.length.toLocaleString()} of ${sorted.length.toLocaleString()} rows; sort to see others.</div>`
+    : '';
+
+  els.compareBody.innerHTML = `
+    <div class="muted small">${samples.length.toLocaleString()} distances to ${escapeText(against)}${escapeText(skippedNote)}</div>
+    <div class="report-stats">
+      ${statsTable('Source', groupBy(samples, (s) => s.source))}
+      ${statsTable('Participant', groupBy(samples, (s) => s.participant))}
+    </div>
+    <table class="report-table report-rows">
+      <thead><tr>${head}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${more}`;
+}
+
+function drawComparison() {
+  if (!viewer) return;
+  const lines = Boolean(els.compareLines?.checked);
+  const circles = Boolean(els.compareCircles?.checked);
+  if (!comparisonSource && !lines && !circles) return;
+  if (!comparisonSource) {
+    comparisonSource = new Cesium.CustomDataSource('Accuracy comparison');
+    viewer.dataSources.add(comparisonSource);
+  }
+  const entities = comparisonSource.entities;
+  entities.suspendEvents();
+  entities.removeAll();
+  const samples = comparison && !els.compare.hidden ? comparison.samples : [];
+
+  if (lines) {
+    for (const s of samples.slice(0, COMPARE_MAX_LINES)) {
+      entities.add({
+        polyline: {
+          positions: [Cesium.Cartesian3.fromDegrees(s.pos.lon, s.pos.lat), Cesium.Cartesian3.fromDegrees(s.ref.lon, s.ref.lat)],
+          width: 2,
+          clampToGround: true,
+          material: Cesium.Color.fromCssColorString(sourceColor(s.source)),
+        },
+      });
+    }
+  }
+
+  if (circles) {
+    // One circle per reference point and source, with that source's p95 error as radius.
+    const groups = groupBy(samples, (s) => `${s.group}\n${s.source}`);
+    for (const group of [...groups.values()].slice(0, COMPARE_MAX_LINES)) {
+      const { ref, source } = group[0];
+      const radius = Math.max(distanceStats(group).p95, 0.5);
+      const color = Cesium.Color.fromCssColorString(sourceColor(source));
+      entities.add({
+        position: Cesium.Cartesian3.fromDegrees(ref.lon, ref.lat),
+        ellipse: {
+          semiMajorAxis: radius,
+          semiMinorAxis: radius,
+          height: 0,
+          material: color.withAlpha(0.12),
+          outline: true,
+          outlineColor: color,
+        },
+      });
+    }
+  }
+  entities.resumeEvents();
+}
+
+function openComparison() {
+  if (!els.compare) return;
+  els.compare.hidden = false;
+  refreshComparison();
+}
+
+function closeComparison() {
+  if (!els.compare) return;
+  els.compare.hidden = true;
+  clearTimeout(comparisonTimer);
+  comparison = null;
+  drawComparison();
+}
+
+// ---------- Version diff ----------
+
+// Two loaded files compared as old and new versions of the same KML. Placemarks
+// pair up by folder path and name (a repeated name pairs in document order) and
+// are sorted into added, removed, moved (by haversineMeters) and changed
+// (ExtendedData, description or geometry type). Changes get a badge in Places
+// and a marker on the globe; "Only changes" hides the rest of both files.
+
+const DIFF_STATUSES = {
+  added: { label: 'Added', color: '#3ecf6e' },
+  removed: { label: 'Removed', color: '#ff5c5c' },
+  moved: { label: 'Moved', color: '#ff9f1c' },
+  changed: { label: 'Changed', color: '#f5d442' },
+};
+const DIFF_MOVE_TOLERANCE_M = 0.05; // closer than this is coordinate rounding
+const DIFF_MAX_ROWS = 500;
+const DIFF_MAX_MARKERS = 5000;
+
+let versionDiff = null; // { oldLayerId, newLayerId, rows, changes: Map(node id -> row) }
+let diffSource = null; // Cesium.CustomDataSource for change markers
+
+function diffEntries(layer) {
+  const entries = new Map(); // path + name (+ repeat number) -> { id, path }
+  const repeats = new Map();
+  for (const [id, { path }] of layer.placemarkIndex) {
+    const label = path.slice(1).join('\n');
+    const n = (repeats.get(label) ?? 0) + 1;
+    repeats.set(label, n);
+    entries.set(`${label}\n${n}`, { id, path: path.slice(1) });
+  }
+  return entries;
+}
+
+function sourceDescription(layer, html) {
+  // KMZ images in descriptions point at blob URLs that are new on every load;
+  // putting the archive paths back lets two versions of an archive compare equal.
+  if (!html.includes('blob:') || !layer.assets?.size) return html;
+  layer.assetPaths ??= new Map(Array.from(layer.assets, ([path, url]) => [url, path]));
+  return html.replace(/blob:[^"'\s<>)]+/g, (url) => layer.assetPaths.get(url) ?? url);
+}
+
+function placemarkAttributes(layer, id) {
+  const node = layer.nodesById.get(id);
+  const entity = layer.nodeToEntity.get(id)?.[0];
+  return {
+    data: node?.data ?? {},
+    description: sourceDescription(layer, entity?.description?.getValue(viewer?.clock?.currentTime) ?? ''),
+    geometry: (node?.geometry ?? []).join(', '),
+  };
+}
+
+function changedFields(before, after) {
+  const fields = [];
+  for (const name of new Set([...Object.keys(before.data), ...Object.keys(after.data)])) {
+    if (before.data[name] !== after.data[name]) fields.push(name);
+  }
+  if (before.description !== after.description) fields.push('description');
+  if (before.geometry !== after.geometry) fields.push('geometry type');
+  return fields;
+}
+
+function compareVersions(oldLayer, newLayer) {
+  const before = diffEntries(oldLayer);
+  const after = diffEntries(newLayer);
+  const rows = [];
+  for (const [key, { id, path }] of after) {
+    const old = before.get(key);
+    const newPos = placemarkPosition(newLayer, id);
+    if (!old) {
+      rows.push({ status: 'added', path, newId: id, newPos, fields: [] });
+      continue;
+    }
+    const oldPos = placemarkPosition(oldLayer, old.id);
+    const distance = oldPos && newPos ? haversineMeters(oldPos, newPos) : null;
+    const fields = changedFields(placemarkAttributes(oldLayer, old.id), placemarkAttributes(newLayer, id));
+    const status = distance > DIFF_MOVE_TOLERANCE_M ? 'moved' : fields.length ? 'changed' : null;
+    if (status) rows.push({ status, path, oldId: old.id, newId: id, oldPos, newPos, distance, fields });
+  }
+  for (const [key, { id, path }] of before) {
+    if (!after.has(key)) rows.push({ status: 'removed', path, oldId: id, oldPos: placemarkPosition(oldLayer, id), fields: [] });
+  }
+  const order = Object.keys(DIFF_STATUSES);
+  return rows.sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status)
+    || a.path.join('\n').localeCompare(b.path.join('\n'), undefined, { numeric: true }));
+}
+
+function hiddenByDiff(nodeId) {
+  if (!versionDiff || !els.diffOnlyChanges?.checked || versionDiff.changes.has(nodeId)) return false;
+  const layerId = state.nodesById.get(nodeId)?.layerId;
+  return layerId === versionDiff.oldLayerId || layerId === versionDiff.newLayerId;
+}
+
+function diffSummary(row) {
+  const head = row.status === 'moved' ? `Moved ${formatMeters(row.distance)}` : DIFF_STATUSES[row.status].label;
+  if (!row.fields.length) return head;
+  return `${head}${row.status === 'moved' ? '; also changed' : ''}: ${row.fields.join(', ')}`;
+}
+
+function diffBadge(row) {
+  const { label, color } = DIFF_STATUSES[row.status];
+  return `<span class="diff-badge" style="background:${color}" title="${escapeText(diffSummary(row))}">${label}</span>`;
+}
+
+function syncDiffLayers() {
+  // Keeps the Old/New pickers in step with the loaded files; newest defaults to New.
+  if (!els.diffOld || !els.diffNew) return;
+  const options = state.layers.map((l) => `<option value="${l.id}">${escapeText(l.fileName)}</option>`).join('');
+  const keep = (select, fallback) => {
+    const value = select.value;
+    select.innerHTML = options;
+    select.value = getLayer(value) ? value : fallback ?? '';
+  };
+  keep(els.diffNew, state.layers[0]?.id);
+  keep(els.diffOld, state.layers.find((l) => l.id !== els.diffNew.value)?.id);
+  if (versionDiff && (!getLayer(versionDiff.oldLayerId) || !getLayer(versionDiff.newLayerId))) {
+    versionDiff = null;
+    renderDiff();
+  }
+}
+
+function updateDiff() {
+  const oldLayer = getLayer(els.diffOld?.value);
+  const newLayer = getLayer(els.diffNew?.value);
+  versionDiff = null;
+  if (els.diff?.hidden || !oldLayer || !newLayer || oldLayer === newLayer) return;
+  const rows = compareVersions(oldLayer, newLayer);
+  const changes = new Map();
+  for (const row of rows) {
+    if (row.oldId) changes.set(row.oldId, row);
+    if (row.newId) changes.set(row.newId, row);
+  }
+  versionDiff = { oldLayerId: oldLayer.id, newLayerId: newLayer.id, rows, changes };
+}
+
+function applyDiff() {
+  updateDiff();
+  computeFilterMatches();
+  renderTree();
+  applyVisibilityFromTree();
+  drawDiff();
+  renderDiff();
+}
+
+function renderDiff() {
+  if (!els.diffBody) return;
+  if (els.exportDiff) els.exportDiff.disabled = !versionDiff?.rows.length;
+  if (!versionDiff) {
+    els.diffBody.innerHTML = state.layers.length < 2
+      ? '<div class="muted small">Load the new version of the file to compare it with the current one.</div>'
+      : '<div class="muted small">Pick two different files as the old and the new version.</div>';
+    return;
+  }
+  const { rows } = versionDiff;
+  if (!rows.length) {
+    els.diffBody.innerHTML = '<div class="muted small">No differences: every placemark matches by path and name, with the same position and attributes.</div>';
+    return;
+  }
+  const counts = Object.entries(DIFF_STATUSES).map(([status, { label, color }]) => {
+    const n = rows.filter((r) => r.status === status).length;
+    return `<span><span class="swatch" style="background:${color}"></span>${n.toLocaleString()} ${label.toLowerCase()}</span>`;
+  }).join(' • ');
+  const shown = rows.slice(0, DIFF_MAX_ROWS).map((r) => `
+    <tr data-node-id="${escapeText(r.newId ?? r.oldId)}" title="Fly to this placemark">
+      <td><span class="swatch" style="background:${DIFF_STATUSES[r.status].color}"></span>${DIFF_STATUSES[r.status].label}</td>
+      <td>${escapeText(r.path.slice(0, -1).join(' / '))}</td><td>${escapeText(r.path[r.path.length - 1])}</td>
+      <td>${r.status === 'moved' ? formatMeters(r.distance) : ''}</td><td>${escapeText(r.fields.join(', '))}</td>
+    </tr>`).join('');
+  const more = rows.length > DIFF_MAX_ROWS
+    ? `<div class="muted small">Showing ${DIFF_MAX_ROWS.toLocaleString()} of ${rows.length.toLocaleString()} changes; export the report for all of them.</div>`
+    : '';
+  els.diffBody.innerHTML = `
+    <div class="small">${counts}</div>
+    <table class="report-table report-rows">
+      <thead><tr><th>Change</th><th>Folder</th><th>Name</th><th>Moved</th><th>Changed fields</th></tr></thead>
+      <tbody>${shown}</tbody>
+    </table>
+    ${more}`;
+}
+
+function drawDiff() {
+  if (!viewer || (!versionDiff && !diffSource)) return;
+  if (!diffSource) {
+    diffSource = new Cesium.CustomDataSource('Version changes');
+    viewer.dataSources.add(diffSource);
+  }
+  const entities = diffSource.entities;
+  entities.suspendEvents();
+  entities.removeAll();
+  let markers = 0;
+  for (const row of versionDiff?.rows ?? []) {
+    const removed = row.status === 'removed';
+    const pos = removed ? row.oldPos : row.newPos;
+    if (!pos || !isShownOnGlobe(removed ? row.oldId : row.newId)) continue;
+    if (markers++ === DIFF_MAX_MARKERS) break;
+    const color = Cesium.Color.fromCssColorString(DIFF_STATUSES[row.status].color);
+    entities.add({
+      position: Cesium.Cartesian3.fromDegrees(pos.lon, pos.lat),
+      point: {
+        pixelSize: 14,
+        color: color.withAlpha(0.35),
+        outlineColor: color,
+        outlineWidth: 2,
+        heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+        disableDepthTestDistance: Number.POSITIVE_INFINITY,
+      },
+    });
+    if (row.status === 'moved' && row.oldPos) {
+      entities.add({
+        polyline: {
+          positions: [Cesium.Cartesian3.fromDegrees(row.oldPos.lon, row.oldPos.lat), Cesium.Cartesian3.fromDegrees(pos.lon, pos.lat)],
+          width: 2,
+          clampToGround: true,
+          material: color,
+        },
+      });
+    }
+  }
+  entities.resumeEvents();
+}
+
+function diffReportCsv(rows) {
+  const header = ['change', 'folder', 'name', 'moved_m', 'changed_fields', 'old_lon', 'old_lat', 'new_lon', 'new_lat'];
+  const lines = [header.join(',')];
+  for (const r of rows) {
+    const row = [
+      r.status, r.path.slice(0, -1).join(' / '), r.path[r.path.length - 1],
+      r.status === 'moved' ? r.distance.toFixed(2) : '', r.fields.join('; '),
+      r.oldPos?.lon, r.oldPos?.lat, r.newPos?.lon, r.newPos?.lat,
+    ];
+    lines.push(row.map(csvCell).join(','));
+  }
+  return new Blob(['\ufeff', lines.join('\r\n'), '\r\n'], { type: 'text/csv' });
+}
+
+function exportDiffReport() {
+  if (!versionDiff?.rows.length) return;
+  const base = (id) => getLayer(id).fileName.replace(/\.km[lz]$/i, '');
+  const name = `${base(versionDiff.newLayerId)} vs ${base(versionDiff.oldLayerId)} (changes).csv`;
+  downloadBlob(diffReportCsv(versionDiff.rows), name);
+  setStatus(`Exported ${name} (${versionDiff.rows.length.toLocaleString()} changes)`);
+}
+
+async function loadDiffVersion(file) {
+  // The new version loads like any file, then is compared with the one that was on top.
+  const current = state.layers[0];
+  await loadKmlFiles([file]);
+  const added = state.layers[0];
+  if (!added || added === current) return;
+  els.diffNew.value = added.id;
+  if (current) els.diffOld.value = current.id;
+  applyDiff();
+}
+
+function openDiff() {
+  if (!els.diff) return;
+  els.diff.hidden = false;
+  syncDiffLayers();
+  applyDiff();
+}
+
+function closeDiff() {
+  if (!els.diff) return;
+  els.diff.hidden = true;
+  applyDiff();
+}
+
+// ---------- Measurement ----------
+
+// A measure mode turns clicks on the globe into points, snapped to a KML entity
+// under the cursor. Distance and Bearing take two points; Path and Area finish
+// on right-click or double-click, and Esc cancels. Finished measurements keep
+// their handles, so a point can be dragged to a new place. Lengths, bearings and
+// areas are on the same sphere as haversineMeters.
+
+const MEASURE_MODES = {
+  distance: { label: 'Distance', points: 2, hint: 'click the start and end points' },
+  path: { label: 'Path', points: Infinity, hint: 'click each point; right-click or double-click to finish' },
+  area: { label: 'Area', points: Infinity, hint: 'click each corner; right-click or double-click to finish' },
+  bearing: { label: 'Bearing', points: 2, hint: 'click the start point, then the target' },
+};
+const MEASURE_MIN_POINTS = { distance: 2, path: 2, area: 3, bearing: 2 };
+const MEASURE_COLOR = '#f5c542';
+const MEASURE_SNAP_PX = 12;
+const EARTH_RADIUS_M = 6371000;
+const FEET_PER_METER = 1 / 0.3048;
+const SQ_METERS_PER_ACRE = 4046.8564224;
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+let measurements = []; // { id, mode, name, points: [{ lon, lat }], entities }
+let measureDraft = null; // the measurement being drawn; its `cursor` follows the mouse
+let measureDrag = null; // { measurement, index } while a handle is dragged
+let measureSource = null; // Cesium.CustomDataSource for all measurements
+let measureHandler = null;
+let measureSeq = 0;
+let measureNumber = 0; // for names: Distance 1, Area 2…
+let savedClickActions = null; // the viewer's own click actions, off while drawing
+
+function toRadians(d) {
+  return (d * Math.PI) / 180;
+}
+
+function pathMeters(points, closed = false) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) total += haversineMeters(points[i - 1], points[i]);
+  if (closed && points.length > 2) total += haversineMeters(points[points.length - 1], points[0]);
+  return total;
+}
+
+function bearingDegrees(a, b) {
+  // Initial great-circle bearing from a to b, clockwise from true north.
+  const lat1 = toRadians(a.lat);
+  const lat2 = toRadians(b.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function ringAreaSquareMeters(points) {
+  // Spherical polygon area (Chamberlain & Duquette); the ring closes itself.
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % points.length];
+    sum += toRadians(p2.lon - p1.lon) * (2 + Math.sin(toRadians(p1.lat)) + Math.sin(toRadians(p2.lat)));
+  }
+  return Math.abs((sum * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+function formatLength(m) {
+  const metric = m < 1000 ? `${m.toFixed(1)} m` : `${(m / 1000).toFixed(3)} km`;
+  const feet = m * FEET_PER_METER;
+  const imperial = feet < 5280 ? `${feet.toFixed(0)} ft` : `${(feet / 5280).toFixed(3)} mi`;
+  return `${metric} (${imperial})`;
+}
+
+function formatArea(m2) {
+  const metric = m2 < 1e4 ? `${m2.toFixed(0)} m²` : m2 < 1e6 ? `${(m2 / 1e4).toFixed(2)} ha` : `${(m2 / 1e6).toFixed(3)} km²`;
+  const acres = m2 / SQ_METERS_PER_ACRE;
+  const imperial = acres < 1
+    ? `${(m2 * FEET_PER_METER * FEET_PER_METER).toFixed(0)} ft²`
+    : acres < 640 ? `${acres.toFixed(2)} acres` : `${(acres / 640).toFixed(3)} mi²`;
+  return `${metric} (${imperial})`;
+}
+
+function measurementValues({ mode, points }) {
+  // Plain numbers for a measurement: shown, exported and saved alike.
+  if (points.length < 2) return {};
+  if (mode === 'area') {
+    return points.length < 3 ? { perimeterMeters: pathMeters(points) }
+      : { areaSquareMeters: ringAreaSquareMeters(points), perimeterMeters: pathMeters(points, true) };
+  }
+  if (mode === 'bearing') return { bearingDegrees: bearingDegrees(points[0], points[1]), lengthMeters: haversineMeters(points[0], points[1]) };
+  return { lengthMeters: pathMeters(points) };
+}
+
+function measurementSummary(m) {
+  const v = measurementValues(m);
+  const lines = [];
+  if (v.bearingDegrees !== undefined) {
+    lines.push(`${v.bearingDegrees.toFixed(1)}° ${COMPASS_POINTS[Math.round(v.bearingDegrees / 22.5) % 16]}`);
+  }
+  if (v.areaSquareMeters !== undefined) lines.push(formatArea(v.areaSquareMeters));
+  if (v.perimeterMeters !== undefined) lines.push(`Perimeter ${formatLength(v.perimeterMeters)}`);
+  if (v.lengthMeters !== undefined) {
+    const segments = m.mode === 'path' && m.points.length > 2 ? ` • ${m.points.length - 1} segments` : '';
+    lines.push(`${formatLength(v.lengthMeters)}${segments}`);
+  }
+  return lines;
+}
+
+function isMeasurementEntity(entity) {
+  return Boolean(entity?.measurement);
+}
+
+function positionToPoint(cartesian) {
+  const c = Cesium.Cartographic.fromCartesian(cartesian);
+  return { lon: Cesium.Math.toDegrees(c.longitude), lat: Cesium.Math.toDegrees(c.latitude) };
+}
+
+function snapToEntity(entity, windowPosition) {
+  // A point feature snaps to its position; a line or polygon to its nearest
+  // vertex, if that vertex is close to the cursor too.
+  const time = viewer.clock.currentTime;
+  const point = entity.position?.getValue(time);
+  const positions = point ? [point]
+    : entity.polyline?.positions?.getValue(time) ?? entity.polygon?.hierarchy?.getValue(time)?.positions ?? [];
+  let best = null;
+  let bestPx = Infinity;
+  for (const position of positions) {
+    const onScreen = Cesium.SceneTransforms.wgs84ToWindowCoordinates(viewer.scene, position);
+    const px = onScreen ? Cesium.Cartesian2.distance(onScreen, windowPosition) : Infinity;
+    if (px < bestPx) {
+      best = position;
+      bestPx = px;
+    }
+  }
+  if (!best || (!point && bestPx > MEASURE_SNAP_PX)) return null;
+  return positionToPoint(best);
+}
+
+function globePoint(windowPosition) {
+  const cartesian = viewer.camera.pickEllipsoid(windowPosition, viewer.scene.globe.ellipsoid);
+  return cartesian ? positionToPoint(cartesian) : null;
+}
+
+function measurePosition(windowPosition) {
+  const size = MEASURE_SNAP_PX * 2;
+  const picked = viewer.scene.pick(windowPosition, size, size);
+  const entity = picked?.id instanceof Cesium.Entity ? picked.id : null;
+  if (entity && !isMeasurementEntity(entity)) {
+    const snapped = snapToEntity(entity, windowPosition);
+    if (snapped) return snapped;
+  }
+  return globePoint(windowPosition);
+}
+
+function ensureMeasureSource() {
+  if (!measureSource) {
+    measureSource = new Cesium.CustomDataSource('Measurements');
+    viewer.dataSources.add(measureSource);
+  }
+  return measureSource;
+}
+
+function addMeasureHandle(m, index) {
+  const entity = measureSource.entities.add({
+    position: new Cesium.CallbackProperty(() => {
+      const p = m.points[index];
+      return p ? Cesium.Cartesian3.fromDegrees(p.lon, p.lat) : undefined;
+    }, false),
+    point: {
+      pixelSize: 9,
+      color: Cesium.Color.fromCssColorString(MEASURE_COLOR),
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 1,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  });
+  entity.measurement = m;
+  entity.measureIndex = index;
+  m.entities.push(entity);
+}
+
+function createMeasurement(mode, points = [], name = '') {
+  const m = { id: ++measureSeq, mode, name, points, cursor: null, entities: [] };
+  const entities = ensureMeasureSource().entities;
+  const color = Cesium.Color.fromCssColorString(MEASURE_COLOR);
+  const drawn = () => (m.cursor ? [...m.points, m.cursor] : m.points);
+  const positions = () => drawn().map((p) => Cesium.Cartesian3.fromDegrees(p.lon, p.lat));
+
+  const add = (options) => {
+    const entity = entities.add(options);
+    entity.measurement = m;
+    m.entities.push(entity);
+  };
+  add({
+    polyline: {
+      positions: new Cesium.CallbackProperty(() => {
+        const ps = positions();
+        return mode === 'area' && ps.length > 2 ? [...ps, ps[0]] : ps;
+      }, false),
+      width: 3,
+      clampToGround: true,
+      material: color,
+    },
+  });
+  if (mode === 'area') {
+    add({
+      polygon: {
+        hierarchy: new Cesium.CallbackProperty(() => new Cesium.PolygonHierarchy(positions()), false),
+        material: color.withAlpha(0.2),
+      },
+    });
+  }
+  add({
+    // Areas are labelled at their centre, everything else at the last point.
+    position: new Cesium.CallbackProperty(() => {
+      const ps = drawn();
+      if (!ps.length) return undefined;
+      const at = mode === 'area' && ps.length > 2 ? centroid(ps) : ps[ps.length - 1];
+      return Cesium.Cartesian3.fromDegrees(at.lon, at.lat);
+    }, false),
+    label: {
+      text: new Cesium.CallbackProperty(() => measurementSummary({ mode, points: drawn() }).join('\n'), false),
+      font: '13px sans-serif',
+      fillColor: Cesium.Color.WHITE,
+      showBackground: true,
+      backgroundColor: Cesium.Color.fromCssColorString('#0b1220').withAlpha(0.8),
+      pixelOffset: new Cesium.Cartesian2(0, -24),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  });
+  points.forEach((_, i) => addMeasureHandle(m, i));
+  return m;
+}
+
+function removeMeasurementEntities(m) {
+  for (const entity of m.entities) measureSource?.entities.remove(entity);
+  m.entities = [];
+}
+
+function suspendViewerClicks(suspend) {
+  // While drawing, clicks add points instead of selecting (and double-click
+  // finishes instead of tracking) entities.
+  const handler = viewer.screenSpaceEventHandler;
+  const types = [Cesium.ScreenSpaceEventType.LEFT_CLICK, Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK];
+  if (suspend && !savedClickActions) {
+    savedClickActions = types.map((type) => handler.getInputAction(type));
+    for (const type of types) handler.removeInputAction(type);
+  } else if (!suspend && savedClickActions) {
+    types.forEach((type, i) => {
+      if (savedClickActions[i]) handler.setInputAction(savedClickActions[i], type);
+    });
+    savedClickActions = null;
+  }
+}
+
+function startMeasure(mode) {
+  const same = measureDraft?.mode === mode;
+  cancelMeasure();
+  cancelAreaSelect();
+  if (same || !viewer || !MEASURE_MODES[mode]) return;
+  initMeasureEvents();
+  measureDraft = createMeasurement(mode);
+  suspendViewerClicks(true);
+  syncMeasureControls();
+  setStatus(`${MEASURE_MODES[mode].label}: ${MEASURE_MODES[mode].hint}. Esc cancels.`);
+}
+
+function cancelMeasure() {
+  if (!measureDraft) return;
+  removeMeasurementEntities(measureDraft);
+  measureDraft = null;
+  suspendViewerClicks(false);
+  syncMeasureControls();
+}
+
+function finishMeasure() {
+  const m = measureDraft;
+  if (!m) return;
+  // A double-click also arrives as two clicks; drop the repeated points.
+  m.points = m.points.filter((p, i) => i === 0 || haversineMeters(p, m.points[i - 1]) > 0.01);
+  m.cursor = null;
+  if (m.points.length < MEASURE_MIN_POINTS[m.mode]) {
+    cancelMeasure();
+    return;
+  }
+  // Handles were added per click, so the repeated points' handles go too.
+  for (const entity of m.entities.filter((e) => e.measureIndex >= m.points.length)) measureSource.entities.remove(entity);
+  m.entities = m.entities.filter((e) => !(e.measureIndex >= m.points.length));
+  m.name = `${MEASURE_MODES[m.mode].label} ${++measureNumber}`;
+  measurements.push(m);
+  measureDraft = null;
+  suspendViewerClicks(false);
+  renderMeasurements();
+  setStatus(`${m.name}: ${measurementSummary(m).join(' • ')}`);
+  scheduleSessionSave();
+}
+
+function addMeasurePoint(windowPosition) {
+  const m = measureDraft;
+  const point = m ? measurePosition(windowPosition) : null;
+  if (!point) return;
+  m.points.push(point);
+  addMeasureHandle(m, m.points.length - 1);
+  if (m.points.length >= MEASURE_MODES[m.mode].points) finishMeasure();
+}
+
+function initMeasureEvents() {
+  if (measureHandler || !viewer) return;
+  const type = Cesium.ScreenSpaceEventType;
+  measureHandler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+
+  measureHandler.setInputAction((e) => addMeasurePoint(e.position), type.LEFT_CLICK);
+  measureHandler.setInputAction(finishMeasure, type.RIGHT_CLICK);
+  measureHandler.setInputAction(finishMeasure, type.LEFT_DOUBLE_CLICK);
+
+  measureHandler.setInputAction((e) => {
+    if (measureDraft || areaDraft) return;
+    const entity = viewer.scene.pick(e.position)?.id;
+    if (!isMeasurementEntity(entity) || entity.measureIndex === undefined) return;
+    measureDrag = { measurement: entity.measurement, index: entity.measureIndex };
+    viewer.scene.screenSpaceCameraController.enableInputs = false;
+  }, type.LEFT_DOWN);
+
+  measureHandler.setInputAction((e) => {
+    if (measureDrag) {
+      const point = measurePosition(e.endPosition);
+      if (point) measureDrag.measurement.points[measureDrag.index] = point;
+    } else if (measureDraft) {
+      measureDraft.cursor = measurePosition(e.endPosition);
+    }
+  }, type.MOUSE_MOVE);
+
+  measureHandler.setInputAction(() => {
+    if (!measureDrag) return;
+    const m = measureDrag.measurement;
+    measureDrag = null;
+    viewer.scene.screenSpaceCameraController.enableInputs = true;
+    renderMeasurements();
+    setStatus(`${m.name}: ${measurementSummary(m).join(' • ')}`);
+    scheduleSessionSave();
+  }, type.LEFT_UP);
+}
+
+function removeMeasurement(id) {
+  const m = measurements.find((x) => x.id === id);
+  if (!m) return;
+  removeMeasurementEntities(m);
+  measurements = measurements.filter((x) => x !== m);
+  renderMeasurements();
+  scheduleSessionSave();
+}
+
+function clearMeasurements() {
+  cancelMeasure();
+  for (const m of measurements) removeMeasurementEntities(m);
+  measurements = [];
+  measureNumber = 0;
+  renderMeasurements();
+  scheduleSessionSave();
+}
+
+function setMeasurements(saved) {
+  // Replaces the current measurements with saved { mode, name, points } records.
+  for (const m of measurements) removeMeasurementEntities(m);
+  measurements = [];
+  if (viewer) {
+    for (const { mode, name, points } of saved ?? []) {
+      if (MEASURE_MODES[mode] && points?.length >= MEASURE_MIN_POINTS[mode]) {
+        measurements.push(createMeasurement(mode, points.map(({ lon, lat }) => ({ lon, lat })), name));
+      }
+    }
+    if (measurements.length) initMeasureEvents();
+  }
+  measureNumber = measurements.length;
+  renderMeasurements();
+}
+
+function syncMeasureControls() {
+  for (const b of els.measureModes ?? []) {
+    b.setAttribute('aria-pressed', String(measureDraft?.mode === b.dataset.measure));
+  }
+  if (els.clearMeasurements) els.clearMeasurements.disabled = !measurements.length && !measureDraft;
+}
+
+function renderMeasurements() {
+  syncMeasureControls();
+  if (!els.measureList) return;
+  els.measureList.hidden = !measurements.length;
+  els.measureList.innerHTML = measurements.map((m) => `
+    <li data-measure-id="${m.id}">
+      <button class="link-btn" data-action="zoom" title="Zoom to this measurement">${escapeText(m.name)}</button>
+      <span class="muted">${escapeText(measurementSummary(m).join(' • '))}</span>
+      <button class="icon-btn" data-action="remove" title="Remove this measurement">✕</button>
+    </li>`).join('');
+}
+
+async function zoomToMeasurement(id) {
+  const m = measurements.find((x) => x.id === id);
+  if (!viewer || !m) return;
+  try { await viewer.flyTo(m.entities); } catch { /* ignore */ }
+}
+
+function kmlColor(css, alpha = 1) {
+  // KML colours are aabbggrr.
+  const [r, g, b] = [1, 3, 5].map((i) => css.slice(i, i + 2));
+  return `${Math.round(alpha * 255).toString(16).padStart(2, '0')}${b}${g}${r}`;
+}
+
+function measurementsKml() {
+  // A Folder appended to exported KML, so measurements travel with the data.
+  if (!measurements.length) return '';
+  const style = `<Style><LineStyle><color>${kmlColor(MEASURE_COLOR)}</color><width>3</width></LineStyle>` +
+    `<PolyStyle><color>${kmlColor(MEASURE_COLOR, 0.2)}</color></PolyStyle></Style>`;
+  const placemarks = measurements.map((m) => {
+    const ring = m.mode === 'area' ? [...m.points, m.points[0]] : m.points;
+    const coords = ring.map((p) => `${p.lon},${p.lat}`).join(' ');
+    const geometry = m.mode === 'area'
+      ? `<Polygon><tessellate>1</tessellate><outerBoundaryIs><LinearRing><coordinates>${coords}</coordinates></LinearRing></outerBoundaryIs></Polygon>`
+      : `<LineString><tessellate>1</tessellate><coordinates>${coords}</coordinates></LineString>`;
+    const data = Object.entries({ measurement: m.mode, ...measurementValues(m) })
+      .map(([k, v]) => `<Data name="${k}"><value>${typeof v === 'number' ? v.toFixed(3) : v}</value></Data>`)
+      .join('');
+    return `<Placemark><name>${escapeText(m.name)}</name><description>${escapeText(measurementSummary(m).join('\n'))}</description>` +
+      `${style}<ExtendedData>${data}</ExtendedData>${geometry}</Placemark>`;
+  });
+  return `\n<Folder><name>Measurements</name>${placemarks.join('\n')}</Folder>\n`;
+}
+
+function measurementFeatures() {
+  return measurements.map((m) => {
+    const coords = m.points.map((p) => [p.lon, p.lat]);
+    const geometry = m.mode === 'area'
+      ? { type: 'Polygon', coordinates: [[...coords, coords[0]]] }
+      : { type: 'LineString', coordinates: coords };
+    return { type: 'Feature', geometry, properties: { name: m.name, measurement: m.mode, ...measurementValues(m) } };
+  });
+}
+
+// ---------- Spatial selection ----------
+
+// Box and Polygon pick the placemarks whose position (a line's or polygon's
+// first vertex) falls inside a shape drawn on the globe, hidden ones included.
+// A box is dragged out; a polygon is clicked corner by corner and finished with
+// right-click or double-click. The placemarks can then be checked, unchecked or
+// isolated in Places.
+
+const AREA_SELECT_COLOR = '#5ce1e6';
+const AREA_SELECT_MAX_ROWS = 500;
+const AREA_SHAPE_LABELS = { box: 'box', polygon: 'polygon' };
+
+let areaSelection = null; // { shape, points: [{ lon, lat }], ids }
+let areaDraft = null; // { shape, points, cursor } while drawing
+let areaSource = null; // Cesium.CustomDataSource for the shape
+let areaHandler = null;
+
+function pointInRing({ lon, lat }, ring) {
+  // Even-odd ray casting in lon/lat.
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.lat > lat) !== (b.lat > lat) && lon < ((b.lon - a.lon) * (lat - a.lat)) / (b.lat - a.lat) + a.lon) inside = !inside;
+  }
+  return inside;
+}
+
+function boxRing([a, b]) {
+  return [
+    { lon: a.lon, lat: a.lat }, { lon: b.lon, lat: a.lat },
+    { lon: b.lon, lat: b.lat }, { lon: a.lon, lat: b.lat },
+  ];
+}
+
+function placemarkPosition(layer, id) {
+  // MultiGeometry placemarks carry their geometry on child entities.
+  const entities = layer.nodeToEntity.get(id) ?? [];
+  const entity = entities.find((e) => e.position || e.polyline || e.polygon) ?? entities[0];
+  return entity ? entityCoordinates(entity) : null;
+}
+
+function placemarksInArea(shape, points) {
+  const ring = shape === 'box' ? boxRing(points) : points;
+  const ids = [];
+  for (const layer of state.layers) {
+    for (const id of layer.placemarkIndex.keys()) {
+      const pos = placemarkPosition(layer, id);
+      if (pos && pointInRing(pos, ring)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+function ensureAreaSource() {
+  if (!areaSource) {
+    areaSource = new Cesium.CustomDataSource('Spatial selection');
+    viewer.dataSources.add(areaSource);
+  }
+  return areaSource;
+}
+
+function drawAreaShape(shape) {
+  // `shape` is areaDraft or areaSelection; the outline follows it as it changes.
+  if (!viewer || (!shape && !areaSource)) return;
+  const entities = ensureAreaSource().entities;
+  entities.removeAll();
+  if (!shape) return;
+  const color = Cesium.Color.fromCssColorString(AREA_SELECT_COLOR);
+  const ring = () => {
+    const points = shape.cursor ? [...shape.points, shape.cursor] : shape.points;
+    return shape.shape === 'box' && points.length === 2 ? boxRing(points) : points;
+  };
+  const positions = () => ring().map((p) => Cesium.Cartesian3.fromDegrees(p.lon, p.lat));
+  entities.add({
+    polyline: {
+      positions: new Cesium.CallbackProperty(() => {
+        const ps = positions();
+        return ps.length > 2 ? [...ps, ps[0]] : ps;
+      }, false),
+      width: 2,
+      clampToGround: true,
+      material: color,
+    },
+    polygon: {
+      hierarchy: new Cesium.CallbackProperty(() => new Cesium.PolygonHierarchy(positions()), false),
+      material: color.withAlpha(0.12),
+    },
+  });
+}
+
+function startAreaSelect(shape) {
+  const same = areaDraft?.shape === shape;
+  cancelAreaSelect();
+  cancelMeasure();
+  if (same || !viewer || !AREA_SHAPE_LABELS[shape]) return;
+  initAreaSelectEvents();
+  areaDraft = { shape, points: [], cursor: null };
+  drawAreaShape(areaDraft);
+  suspendViewerClicks(true);
+  syncAreaSelectControls();
+  setStatus(shape === 'box'
+    ? 'Select: drag a box on the globe. Esc cancels.'
+    : 'Select: click each corner; right-click or double-click to finish. Esc cancels.');
+}
+
+function cancelAreaSelect() {
+  if (!areaDraft) return;
+  areaDraft = null;
+  if (viewer) {
+    viewer.scene.screenSpaceCameraController.enableInputs = true;
+    suspendViewerClicks(false);
+  }
+  drawAreaShape(areaSelection);
+  syncAreaSelectControls();
+}
+
+function finishAreaSelect() {
+  const draft = areaDraft;
+  if (!draft) return;
+  draft.cursor = null;
+  draft.points = draft.points.filter((p, i) => i === 0 || haversineMeters(p, draft.points[i - 1]) > 0.01);
+  if (draft.points.length < (draft.shape === 'box' ? 2 : 3)) {
+    cancelAreaSelect();
+    return;
+  }
+  areaDraft = null;
+  viewer.scene.screenSpaceCameraController.enableInputs = true;
+  suspendViewerClicks(false);
+  areaSelection = { shape: draft.shape, points: draft.points, ids: placemarksInArea(draft.shape, draft.points) };
+  drawAreaShape(areaSelection);
+  syncAreaSelectControls();
+  renderAreaSelection();
+  const n = areaSelection.ids.length;
+  setStatus(`${n.toLocaleString()} placemark${n === 1 ? '' : 's'} inside the ${AREA_SHAPE_LABELS[draft.shape]}.`);
+}
+
+function initAreaSelectEvents() {
+  if (areaHandler || !viewer) return;
+  const type = Cesium.ScreenSpaceEventType;
+  areaHandler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+
+  // Box: press, drag, release. The camera stays put meanwhile.
+  areaHandler.setInputAction((e) => {
+    if (areaDraft?.shape !== 'box') return;
+    const point = globePoint(e.position);
+    if (!point) return;
+    areaDraft.points = [point];
+    viewer.scene.screenSpaceCameraController.enableInputs = false;
+  }, type.LEFT_DOWN);
+  areaHandler.setInputAction((e) => {
+    if (areaDraft?.shape !== 'box' || !areaDraft.points.length) return;
+    const point = globePoint(e.position);
+    if (point) areaDraft.points[1] = point;
+    finishAreaSelect();
+  }, type.LEFT_UP);
+
+  areaHandler.setInputAction((e) => {
+    if (areaDraft?.shape !== 'polygon') return;
+    const point = globePoint(e.position);
+    if (point) areaDraft.points.push(point);
+  }, type.LEFT_CLICK);
+  const finishPolygon = () => {
+    if (areaDraft?.shape === 'polygon') finishAreaSelect();
+  };
+  areaHandler.setInputAction(finishPolygon, type.RIGHT_CLICK);
+  areaHandler.setInputAction(finishPolygon, type.LEFT_DOUBLE_CLICK);
+
+  areaHandler.setInputAction((e) => {
+    if (!areaDraft || (areaDraft.shape === 'box' && !areaDraft.points.length)) return;
+    areaDraft.cursor = globePoint(e.endPosition);
+  }, type.MOUSE_MOVE);
+}
+
+function applyAreaSelection(action) {
+  // action: 'check', 'uncheck' or 'isolate' (only the selected placemarks on).
+  if (!areaSelection?.ids.length) return;
+  const ids = areaSelection.ids.filter((id) => state.nodesById.has(id));
+  if (action === 'isolate') {
+    for (const layer of state.layers) {
+      const root = state.nodesById.get(layer.rootNodeId);
+      for (const childId of root?.children ?? []) setCheckedRecursive(childId, false);
+    }
+  }
+  const checked = action !== 'uncheck';
+  const parents = new Set();
+  for (const id of ids) {
+    const node = state.nodesById.get(id);
+    const parent = state.nodesById.get(node.parentId);
+    if (checked && parent?.listItemType === 'radioFolder') {
+      for (const siblingId of parent.children) {
+        if (siblingId !== id) setCheckedRecursive(siblingId, false);
+      }
+    }
+    setCheckedRecursive(id, checked);
+    if (node.parentId) parents.add(node.parentId);
+  }
+  // Folders hold many placemarks; walk up from each one once.
+  for (const parentId of parents) recomputeIndeterminateUp(parentId);
+  refreshRenderedRows();
+  applyVisibilityFromTree();
+}
+
+function renderAreaSelection() {
+  if (!els.areaSelection || !els.areaSelectionBody) return;
+  els.areaSelection.hidden = !areaSelection;
+  syncAreaSelectControls();
+  if (!areaSelection) {
+    els.areaSelectionBody.innerHTML = '';
+    return;
+  }
+  // Drop placemarks of files removed since.
+  areaSelection.ids = areaSelection.ids.filter((id) => state.nodesById.has(id));
+  const { ids, shape } = areaSelection;
+  const on = ids.filter(getEffectiveChecked).length;
+  const rows = ids.slice(0, AREA_SELECT_MAX_ROWS).map((id) => {
+    const layer = nodeLayer(id);
+    const path = layer.placemarkIndex.get(id).path;
+    return `
+      <tr data-node-id="${escapeText(id)}" title="Fly to this placemark">
+        <td>${getEffectiveChecked(id) ? '✓' : ''}</td><td>${escapeText(path[path.length - 1])}</td>
+        <td>${escapeText(path.slice(1, -1).join(' → '))}</td><td>${escapeText(layer.fileName)}</td>
+      </tr>`;
+  }).join('');
+  const more = ids.length > AREA_SELECT_MAX_ROWS
+    ? `<div class="muted small">Listing the first ${AREA_SELECT_MAX_ROWS.toLocaleString()}.</div>`
+    : '';
+
+  els.areaSelectionBody.innerHTML = `
+    <div class="muted small">${ids.length.toLocaleString()} placemarks inside the ${AREA_SHAPE_LABELS[shape]} • ${on.toLocaleString()} shown</div>
+    ${ids.length ? `
+    <table class="report-table report-rows">
+      <thead><tr><th>On</th><th>Placemark</th><th>Folders</th><th>File</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>` : ''}
+    ${more}`;
+}
+
+function closeAreaSelection() {
+  cancelAreaSelect();
+  areaSelection = null;
+  drawAreaShape(null);
+  renderAreaSelection();
+}
+
+function syncAreaSelectControls() {
+  for (const b of els.areaShapes ?? []) {
+    b.setAttribute('aria-pressed', String(areaDraft?.shape === b.dataset.areaShape));
+  }
+  const empty = !areaSelection?.ids.length;
+  for (const b of [els.areaCheck, els.areaUncheck, els.areaIsolate]) {
+    if (b) b.disabled = empty;
+  }
+}
+
+// ---------- Time ----------
+
+// Cesium shows a KML feature only while its TimeStamp/TimeSpan availability
+// covers the clock time (a TimeStamp lasts from its moment on). When loaded
+// files carry time, the timeline and animation widgets appear, scoped to the
+// data, and the time filter can swap each entity's availability for a sliding
+// window or drop it. Both combine with the Places toggles, which set entity.show.
+
+const TIME_PLAYBACK_SECONDS = 120; // a full replay at the starting speed
+const TIME_MIN_SPAN_SECONDS = 60; // the timeline needs a non-empty range
+const TRAIL_HEIGHT_M = 2; // just above the ellipsoid so the globe does not hide trails
+
+let timeRange = null; // { start, stop } over all loaded files, or null
+let trailSource = null; // Cesium.CustomDataSource for participant trails
+
+function minutesInput(input, fallback) {
+  const n = Number(input?.value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function isFiniteTime(t) {
+  return Cesium.JulianDate.compare(t, Cesium.Iso8601.MINIMUM_VALUE) > 0
+    && Cesium.JulianDate.compare(t, Cesium.Iso8601.MAXIMUM_VALUE) < 0;
+}
+
+function entityTime(entity) {
+  // The KML time the entity was loaded with, kept because the window mode
+  // replaces entity.availability: { availability, start, stop }, where a
+  // TimeStamp's stop is its own moment. null when it has no time.
+  if (entity.kmlTime === undefined) {
+    const a = entity.availability;
+    if (!a || a.isEmpty) {
+      entity.kmlTime = null;
+    } else {
+      const start = isFiniteTime(a.start) ? a.start : a.stop;
+      const stop = isFiniteTime(a.stop) ? a.stop : start;
+      entity.kmlTime = isFiniteTime(start) ? { availability: a, start, stop } : null;
+    }
+  }
+  return entity.kmlTime;
+}
+
+function updateTimeline() {
+  // Applies the time filter to every entity and fits the clock to the data.
+  if (!viewer) return;
+  const mode = els.timeMode?.value ?? 'file';
+  const windowSeconds = minutesInput(els.timeWindowMinutes, 30) * 60;
+  let start = null;
+  let stop = null;
+  for (const layer of state.layers) {
+    for (const entity of layer.dataSource?.entities.values ?? []) {
+      const t = entityTime(entity);
+      if (!t) continue;
+      if (!start || Cesium.JulianDate.lessThan(t.start, start)) start = t.start;
+      if (!stop || Cesium.JulianDate.greaterThan(t.stop, stop)) stop = t.stop;
+      if (mode === 'all') {
+        entity.availability = undefined;
+      } else if (mode === 'window') {
+        entity.availability = new Cesium.TimeIntervalCollection([new Cesium.TimeInterval({
+          start: t.start,
+          stop: Cesium.JulianDate.addSeconds(t.stop, windowSeconds, new Cesium.JulianDate()),
+        })]);
+      } else {
+        entity.availability = t.availability;
+      }
+    }
+  }
+  setTimeRange(start, stop);
+  updateTrails();
+}
+
+function setTimeRange(start, stop) {
+  const previous = timeRange;
+  if (start && Cesium.JulianDate.secondsDifference(stop, start) < TIME_MIN_SPAN_SECONDS) {
+    const pad = TIME_MIN_SPAN_SECONDS / 2;
+    start = Cesium.JulianDate.addSeconds(start, -pad, new Cesium.JulianDate());
+    stop = Cesium.JulianDate.addSeconds(stop, pad, new Cesium.JulianDate());
+  }
+  timeRange = start ? { start, stop } : null;
+  showTimeControls(Boolean(timeRange));
+  if (!timeRange) return;
+  if (previous && Cesium.JulianDate.equals(previous.start, start) && Cesium.JulianDate.equals(previous.stop, stop)) return;
+
+  // A new range starts paused at its end, so everything up to then is shown.
+  const clock = viewer.clock;
+  clock.startTime = start.clone();
+  clock.stopTime = stop.clone();
+  clock.currentTime = stop.clone();
+  clock.clockRange = Cesium.ClockRange.LOOP_STOP;
+  clock.multiplier = Math.max(1, Cesium.JulianDate.secondsDifference(stop, start) / TIME_PLAYBACK_SECONDS);
+  clock.shouldAnimate = false;
+  viewer.timeline.zoomTo(clock.startTime, clock.stopTime);
+}
+
+function showTimeControls(show) {
+  if (els.timeBar) els.timeBar.hidden = !show;
+  const visibility = show ? 'visible' : 'hidden';
+  if (viewer.animation.container.style.visibility === visibility) return;
+  viewer.animation.container.style.visibility = visibility;
+  viewer.timeline.container.style.visibility = visibility;
+  viewer.forceResize();
+}
+
+function lowerBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function updateTrails() {
+  // One line per participant (first folder level) through its shown, timed
+  // placemarks of the last few minutes before the clock time.
+  const show = Boolean(els.timeTrail?.checked) && Boolean(timeRange);
+  if (!viewer || (!show && !trailSource)) return;
+  if (!trailSource) {
+    trailSource = new Cesium.CustomDataSource('Trails');
+    viewer.dataSources.add(trailSource);
+  }
+  const entities = trailSource.entities;
+  entities.suspendEvents();
+  entities.removeAll();
+  if (show) {
+    const trailSeconds = minutesInput(els.trailMinutes, 10) * 60;
+    const origin = timeRange.start;
+    const byParticipant = new Map();
+    for (const layer of state.layers) {
+      for (const [id, { path }] of layer.placemarkIndex) {
+        if (!getEffectiveChecked(id)) continue;
+        const entity = layer.nodeToEntity.get(id)?.[0];
+        const t = entity ? entityTime(entity) : null;
+        const position = t ? entity.position?.getValue(t.start) : null;
+        if (!position) continue;
+        const participant = path.length > 2 ? `${layer.id}\n${path[1]}` : layer.id;
+        if (!byParticipant.has(participant)) byParticipant.set(participant, []);
+        const c = Cesium.Cartographic.fromCartesian(position);
+        byParticipant.get(participant).push({
+          seconds: Cesium.JulianDate.secondsDifference(t.start, origin),
+          position: Cesium.Cartesian3.fromRadians(c.longitude, c.latitude, TRAIL_HEIGHT_M),
+        });
+      }
+    }
+    let i = 0;
+    for (const points of byParticipant.values()) {
+      points.sort((a, b) => a.seconds - b.seconds);
+      const seconds = points.map((p) => p.seconds);
+      const positions = points.map((p) => p.position);
+      entities.add({
+        polyline: {
+          positions: new Cesium.CallbackProperty((time) => {
+            const now = Cesium.JulianDate.secondsDifference(time, origin);
+            return positions.slice(lowerBound(seconds, now - trailSeconds), lowerBound(seconds, now + 1e-6));
+          }, false),
+          width: 3,
+          material: Cesium.Color.fromCssColorString(PALETTE_COLORS[i++ % PALETTE_COLORS.length]),
+        },
+      });
+    }
+  }
+  entities.resumeEvents();
+}
+
+// ---------- Altitude ----------
+
+// Files load unclamped, so every entity keeps the altitudes in its KML; this
+// row chooses how they are drawn. The mode only switches height references and
+// ground clamping on the entities, and exaggeration swaps in scaled copies of
+// their positions (the KML ones stay on entity.kmlGeometry), so changing either
+// never re-reads a file.
+
+const ALTITUDE_MODES = {
+  clamp: 'on the ground',
+  absolute: 'absolute',
+  relative: 'above the ground',
+};
+const DROP_LINE_LIMIT = 5000; // one polyline each; more slows the scene down
+
+let altitudeMode = 'clamp';
+let verticalExaggeration = 1;
+let dropLineSource = null; // Cesium.CustomDataSource for drop lines
+
+function altitudeSettings() {
+  return { mode: altitudeMode, exaggeration: verticalExaggeration, dropLines: Boolean(els.dropLines?.checked) };
+}
+
+function drawnAltitude(alt) {
+  if (altitudeMode === 'clamp') return 'On the ground';
+  const scale = verticalExaggeration === 1 ? '' : ` (×${verticalExaggeration})`;
+  return `${(alt * verticalExaggeration).toFixed(1)} m ${ALTITUDE_MODES[altitudeMode]}${scale}`;
+}
+
+function altitudeHeightReference() {
+  if (altitudeMode === 'absolute') return Cesium.HeightReference.NONE;
+  if (altitudeMode === 'relative') return Cesium.HeightReference.RELATIVE_TO_GROUND;
+  return Cesium.HeightReference.CLAMP_TO_GROUND;
+}
+
+function scaleHeight(position, factor) {
+  const c = Cesium.Cartographic.fromCartesian(position);
+  return Cesium.Cartesian3.fromRadians(c.longitude, c.latitude, c.height * factor);
+}
+
+function scaleHierarchy(hierarchy, factor) {
+  return new Cesium.PolygonHierarchy(
+    hierarchy.positions.map((p) => scaleHeight(p, factor)),
+    (hierarchy.holes ?? []).map((h) => scaleHierarchy(h, factor)),
+  );
+}
+
+function kmlGeometry(entity) {
+  // Captured on the first exaggeration. Only constant positions are scaled;
+  // tracks (gx:Track) keep their sampled ones.
+  if (!entity.kmlGeometry) {
+    const time = viewer.clock.currentTime;
+    const constant = (property) => (property?.isConstant ? property.getValue(time) : undefined);
+    entity.kmlGeometry = {
+      position: constant(entity.position),
+      positions: constant(entity.polyline?.positions),
+      hierarchy: constant(entity.polygon?.hierarchy),
+    };
+  }
+  return entity.kmlGeometry;
+}
+
+function applyEntityAltitude(entity, heightReference) {
+  const clamp = altitudeMode === 'clamp';
+  if (entity.billboard) entity.billboard.heightReference = heightReference;
+  if (entity.label) entity.label.heightReference = heightReference;
+  if (entity.point) entity.point.heightReference = heightReference;
+  if (entity.polyline) entity.polyline.clampToGround = clamp;
+  if (entity.polygon) entity.polygon.perPositionHeight = !clamp;
+
+  if (verticalExaggeration === 1 && !entity.kmlGeometry) return;
+  const g = kmlGeometry(entity);
+  const factor = verticalExaggeration;
+  if (g.position) entity.position = factor === 1 ? g.position : scaleHeight(g.position, factor);
+  if (g.positions) entity.polyline.positions = factor === 1 ? g.positions : g.positions.map((p) => scaleHeight(p, factor));
+  if (g.hierarchy) entity.polygon.hierarchy = factor === 1 ? g.hierarchy : scaleHierarchy(g.hierarchy, factor);
+}
+
+function applyAltitudes(layers = state.layers) {
+  const heightReference = altitudeHeightReference();
+  for (const layer of layers) {
+    const entities = layer.dataSource?.entities;
+    if (!entities) continue;
+    entities.suspendEvents();
+    for (const entity of entities.values) applyEntityAltitude(entity, heightReference);
+    entities.resumeEvents();
+  }
+}
+
+function updateDropLines() {
+  // A line from each shown point down to the ground, so floors read at a glance.
+  const show = Boolean(els.dropLines?.checked) && altitudeMode !== 'clamp';
+  if (!viewer || (!show && !dropLineSource)) return;
+  if (!dropLineSource) {
+    dropLineSource = new Cesium.CustomDataSource('Drop lines');
+    viewer.dataSources.add(dropLineSource);
+  }
+  const entities = dropLineSource.entities;
+  entities.suspendEvents();
+  entities.removeAll();
+  if (show) {
+    const time = viewer.clock.currentTime;
+    const material = Cesium.Color.WHITE.withAlpha(0.6);
+    let count = 0;
+    layers: for (const layer of state.layers) {
+      for (const id of layer.placemarkIndex.keys()) {
+        if (!getEffectiveChecked(id)) continue;
+        for (const entity of layer.nodeToEntity.get(id) ?? []) {
+          const top = entity.position?.isConstant ? entity.position.getValue(time) : null;
+          if (!top) continue;
+          const c = Cesium.Cartographic.fromCartesian(top);
+          if (!(c.height > 0)) continue;
+          if (count++ === DROP_LINE_LIMIT) break layers;
+          entities.add({
+            availability: entity.availability, // follows the time filter
+            polyline: {
+              positions: [Cesium.Cartesian3.fromRadians(c.longitude, c.latitude, 0), top],
+              width: 1,
+              material,
+            },
+          });
+        }
+      }
+    }
+  }
+  entities.resumeEvents();
+}
+
+function setAltitudeSettings(settings) {
+  altitudeMode = ALTITUDE_MODES[settings?.mode] ? settings.mode : 'clamp';
+  const factor = Number(settings?.exaggeration);
+  verticalExaggeration = Number.isFinite(factor) && factor > 0 ? factor : 1;
+  if (els.altitudeMode) els.altitudeMode.value = altitudeMode;
+  if (els.verticalExaggeration) els.verticalExaggeration.value = String(verticalExaggeration);
+  if (els.dropLines) els.dropLines.checked = Boolean(settings?.dropLines);
+  applyAltitudes();
+  updateDropLines();
+  renderDetails();
+}
+
+function onAltitudeFormChange() {
+  setAltitudeSettings({
+    mode: els.altitudeMode?.value,
+    exaggeration: els.verticalExaggeration?.value,
+    dropLines: els.dropLines?.checked,
+  });
+  scheduleSessionSave();
+}
+
+// ---------- Clusters & heatmap ----------
+
+// Two ways to read dense placemark sets besides one marker each. Clusters are
+// Cesium's screen-space clustering on every file's data source: nearby markers
+// merge into a count badge that splits again as you zoom in. The heatmap is one
+// image draped over the shown placemarks (counts binned on a grid, then
+// blurred), redrawn whenever the Places toggles or the globe search change.
+
+const POINT_DISPLAYS = ['markers', 'cluster', 'heatmap'];
+const CLUSTER_PIXEL_RANGE = 40;
+const CLUSTER_MIN_SIZE = 3;
+const HEATMAP_CELLS = 512; // grid cells along the longer side
+const HEATMAP_RADIUS = 10; // blur radius, in cells
+const HEATMAP_MIN_SPAN_DEG = 0.001; // about 100 m, so a single building still gets a spread
+const HEATMAP_DELAY_MS = 150;
+// Cool to hot: blue, green, yellow, orange, red.
+const HEATMAP_RAMP = [[43, 131, 186], [171, 221, 164], [255, 255, 191], [253, 174, 97], [215, 25, 28]];
+
+let pointDisplay = 'markers';
+let heatmapSource = null; // Cesium.CustomDataSource holding the heatmap rectangle
+let heatmapTimer = null;
+const clusterBadges = new Map(); // badge text -> data URL
+
+function clusterBadge(count) {
+  const text = count >= 1000 ? `${Math.round(count / 100) / 10}k` : String(count);
+  if (clusterBadges.has(text)) return clusterBadges.get(text);
+  const size = text.length > 3 ? 44 : 36;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const c = size / 2;
+  ctx.beginPath();
+  ctx.arc(c, c, c - 2, 0, 2 * Math.PI);
+  ctx.fillStyle = 'rgba(79, 140, 255, 0.85)';
+  ctx.fill();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, c, c);
+  const url = canvas.toDataURL('image/png');
+  clusterBadges.set(text, url);
+  return url;
+}
+
+function onCluster(entities, cluster) {
+  cluster.label.show = false;
+  cluster.billboard.show = true;
+  cluster.billboard.image = clusterBadge(entities.length);
+  cluster.billboard.verticalOrigin = Cesium.VerticalOrigin.CENTER;
+}
+
+function applyClustering(layers = state.layers) {
+  for (const layer of layers) {
+    const clustering = layer.dataSource?.clustering;
+    if (!clustering) continue;
+    if (!layer.clusterListener) {
+      clustering.pixelRange = CLUSTER_PIXEL_RANGE;
+      clustering.minimumClusterSize = CLUSTER_MIN_SIZE;
+      layer.clusterListener = clustering.clusterEvent.addEventListener(onCluster);
+    }
+    clustering.enabled = pointDisplay === 'cluster';
+  }
+}
+
+function heatmapPoints() {
+  const points = [];
+  for (const layer of state.layers) {
+    for (const id of layer.placemarkIndex.keys()) {
+      if (!isShownOnGlobe(id)) continue;
+      const pos = placemarkPosition(layer, id);
+      if (pos) points.push(pos);
+    }
+  }
+  return points;
+}
+
+function heatmapGrid(points) {
+  // Square cells on the ground: longitude is stretched by cos(latitude).
+  let west = Infinity;
+  let east = -Infinity;
+  let south = Infinity;
+  let north = -Infinity;
+  for (const p of points) {
+    west = Math.min(west, p.lon);
+    east = Math.max(east, p.lon);
+    south = Math.min(south, p.lat);
+    north = Math.max(north, p.lat);
+  }
+  const midLon = (west + east) / 2;
+  const midLat = (south + north) / 2;
+  const k = Math.cos(toRadians(midLat));
+  // At least HEATMAP_MIN_SPAN_DEG across, plus room for the blur to fade out.
+  const halfLat = Math.max(north - south, HEATMAP_MIN_SPAN_DEG) / 2;
+  const halfLon = Math.max((east - west) * k, HEATMAP_MIN_SPAN_DEG) / 2 / k;
+  const margin = (2 * Math.max(halfLat, halfLon * k) * 2 * HEATMAP_RADIUS) / HEATMAP_CELLS;
+  const extent = {
+    west: Math.max(-180, midLon - halfLon - margin / k),
+    east: Math.min(180, midLon + halfLon + margin / k),
+    south: Math.max(-90, midLat - halfLat - margin),
+    north: Math.min(90, midLat + halfLat + margin),
+  };
+  const scale = HEATMAP_CELLS / Math.max((extent.east - extent.west) * k, extent.north - extent.south);
+  const width = Math.max(1, Math.round((extent.east - extent.west) * k * scale));
+  const height = Math.max(1, Math.round((extent.north - extent.south) * scale));
+  const counts = new Float32Array(width * height);
+  for (const p of points) {
+    const x = Math.min(width - 1, Math.floor((p.lon - extent.west) * k * scale));
+    const y = Math.min(height - 1, Math.floor((extent.north - p.lat) * scale));
+    counts[y * width + x] += 1;
+  }
+  return { extent, width, height, counts };
+}
+
+function blurGrid(values, width, height, radius) {
+  // Separable Gaussian: a horizontal pass, then a vertical one.
+  const sigma = radius / 2;
+  const kernel = Array.from({ length: 2 * radius + 1 }, (_, i) => Math.exp(-((i - radius) ** 2) / (2 * sigma * sigma)));
+  const pass = (src, along, across, at) => {
+    const out = new Float32Array(src.length);
+    for (let j = 0; j < across; j++) {
+      for (let i = 0; i < along; i++) {
+        let sum = 0;
+        for (let d = -radius; d <= radius; d++) {
+          const ii = i + d;
+          if (ii >= 0 && ii < along) sum += src[at(ii, j)] * kernel[d + radius];
+        }
+        out[at(i, j)] = sum;
+      }
+    }
+    return out;
+  };
+  const rows = pass(values, width, height, (x, y) => y * width + x);
+  return pass(rows, height, width, (y, x) => y * width + x);
+}
+
+function rampColor(t) {
+  const f = t * (HEATMAP_RAMP.length - 1);
+  const i = Math.min(HEATMAP_RAMP.length - 2, Math.floor(f));
+  const a = HEATMAP_RAMP[i];
+  const b = HEATMAP_RAMP[i + 1];
+  return a.map((v, n) => Math.round(v + (b[n] - v) * (f - i)));
+}
+
+function heatmapImage({ width, height, counts }) {
+  const density = blurGrid(counts, width, height, HEATMAP_RADIUS);
+  let max = 0;
+  for (const v of density) max = Math.max(max, v);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  for (let i = 0; i < density.length; i++) {
+    const t = max ? density[i] / max : 0;
+    if (t < 0.01) continue;
+    const [r, g, b] = rampColor(t);
+    image.data.set([r, g, b, Math.round(255 * Math.min(0.85, 0.3 + t))], i * 4);
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+function updateHeatmap() {
+  clearTimeout(heatmapTimer);
+  const show = pointDisplay === 'heatmap';
+  if (!viewer || (!show && !heatmapSource)) return;
+  if (!heatmapSource) {
+    heatmapSource = new Cesium.CustomDataSource('Heatmap');
+    viewer.dataSources.add(heatmapSource);
+  }
+  heatmapSource.entities.removeAll();
+  const points = show ? heatmapPoints() : [];
+  if (!points.length) return;
+  const grid = heatmapGrid(points);
+  const { west, south, east, north } = grid.extent;
+  heatmapSource.entities.add({
+    rectangle: {
+      coordinates: Cesium.Rectangle.fromDegrees(west, south, east, north),
+      material: new Cesium.ImageMaterialProperty({ image: heatmapImage(grid), transparent: true }),
+    },
+  });
+}
+
+function scheduleHeatmap() {
+  if (pointDisplay !== 'heatmap' && !heatmapSource?.entities.values.length) return;
+  clearTimeout(heatmapTimer);
+  heatmapTimer = setTimeout(updateHeatmap, HEATMAP_DELAY_MS);
+}
+
+function setPointDisplay(mode) {
+  pointDisplay = POINT_DISPLAYS.includes(mode) ? mode : 'markers';
+  if (els.pointDisplay) els.pointDisplay.value = pointDisplay;
+  applyClustering();
+  applyVisibilityFromTree();
+  updateHeatmap();
+}
+
+// ---------- Styling ----------
+
+// Viewer-side styles drawn over the KML's own: a palette per folder level (one
+// colour per Participant, one marker per Location Source…), rules that colour
+// the placemarks matching a search query, and point, line and label sizes. Each
+// entity's KML style is kept on first change so Reset can put it back.
+
+const STYLE_LEVELS = ['Participant', 'Location Source', 'Building'];
+const MARKER_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'star', 'cross', 'pentagon', 'hexagon'];
+const MARKER_PX = 16; // marker size when the point size is left as in the KML
+const LEGEND_MAX_ITEMS = 40;
+const DEFAULT_STYLE = { colorBy: -1, shapeBy: -1, pointSize: 0, lineWidth: 0, labelScale: 1, rules: [] };
+
+let styleConfig = { ...DEFAULT_STYLE, rules: [] }; // rules: [{ query, color }]
+let styleLegend = null; // { colors, shapes, rules } from the last applyStyles
+let stylesApplied = false; // some entity carries an override
+const markerImages = new Map(); // shape -> data URL
+
+function paletteColor(i) {
+  // The fixed palette first, then hues spread by the golden angle.
+  if (i < PALETTE_COLORS.length) return PALETTE_COLORS[i];
+  return `hsl(${Math.round((i * 137.508) % 360)}, 70%, 60%)`;
+}
+
+function markerImage(shape) {
+  // White shapes with a dark rim; billboard.color tints them. A data URL (not
+  // the canvas) lets Cesium share one texture between all billboards.
+  if (markerImages.has(shape)) return markerImages.get(shape);
+  const size = 32;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const c = size / 2;
+  const r = size / 2 - 3;
+  const polygon = (n, rotation = -Math.PI / 2, inner = 0) => {
+    ctx.beginPath();
+    const steps = inner ? n * 2 : n;
+    for (let i = 0; i < steps; i++) {
+      const rr = inner && i % 2 ? inner : r;
+      const a = rotation + (i * 2 * Math.PI) / steps;
+      ctx.lineTo(c + rr * Math.cos(a), c + rr * Math.sin(a));
+    }
+    ctx.closePath();
+  };
+  if (shape === 'circle') {
+    ctx.beginPath();
+    ctx.arc(c, c, r, 0, 2 * Math.PI);
+  } else if (shape === 'square') {
+    ctx.beginPath();
+    ctx.rect(4, 4, size - 8, size - 8);
+  } else if (shape === 'triangle') polygon(3);
+  else if (shape === 'diamond') polygon(4);
+  else if (shape === 'star') polygon(5, -Math.PI / 2, r * 0.45);
+  else if (shape === 'pentagon') polygon(5);
+  else if (shape === 'hexagon') polygon(6, 0);
+  else polygon(4, -Math.PI / 4, r * 0.4); // cross
+  ctx.fillStyle = '#ffffff';
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.75)';
+  ctx.lineWidth = 2;
+  ctx.fill();
+  ctx.stroke();
+  const url = canvas.toDataURL('image/png');
+  markerImages.set(shape, url);
+  return url;
+}
+
+function styleIsActive(config = styleConfig) {
+  return config.colorBy >= 0 || config.shapeBy >= 0 || config.pointSize > 0 || config.lineWidth > 0
+    || config.labelScale !== 1 || config.rules.some((r) => r.query.trim());
+}
+
+function originalStyle(entity) {
+  // The entity's KML style, captured before the first override.
+  if (!entity.kmlStyle) {
+    const { billboard, point, polyline, polygon, label } = entity;
+    entity.kmlStyle = {
+      billboard: billboard && {
+        image: billboard.image, color: billboard.color, width: billboard.width, height: billboard.height, scale: billboard.scale,
+      },
+      point: point && { color: point.color, pixelSize: point.pixelSize },
+      polyline: polyline && { material: polyline.material, width: polyline.width },
+      polygon: polygon && { material: polygon.material, outlineColor: polygon.outlineColor },
+      label: label && { scale: label.scale },
+    };
+  }
+  return entity.kmlStyle;
+}
+
+function restoreEntityStyle(entity) {
+  const original = entity.kmlStyle;
+  if (!original) return;
+  for (const [graphics, props] of Object.entries(original)) {
+    if (props && entity[graphics]) Object.assign(entity[graphics], props);
+  }
+  delete entity.kmlStyle;
+}
+
+function styleEntity(entity, { color, shape }) {
+  const original = originalStyle(entity);
+  const { pointSize, lineWidth, labelScale } = styleConfig;
+  if (entity.billboard) {
+    // A coloured KML icon would come out muddy, so colouring alone switches to a circle.
+    const marker = shape ?? (color ? 'circle' : null);
+    const size = pointSize || (marker ? MARKER_PX : 0);
+    Object.assign(entity.billboard, {
+      image: marker ? markerImage(marker) : original.billboard.image,
+      color: color ?? original.billboard.color,
+      width: size || original.billboard.width,
+      height: size || original.billboard.height,
+      scale: size ? 1 : original.billboard.scale,
+    });
+  }
+  if (entity.point) {
+    entity.point.color = color ?? original.point.color;
+    entity.point.pixelSize = pointSize || original.point.pixelSize;
+  }
+  if (entity.polyline) {
+    entity.polyline.material = color ?? original.polyline.material;
+    entity.polyline.width = lineWidth || original.polyline.width;
+  }
+  if (entity.polygon) {
+    entity.polygon.material = color ? color.withAlpha(0.45) : original.polygon.material;
+    entity.polygon.outlineColor = color ?? original.polygon.outlineColor;
+  }
+  if (entity.label) entity.label.scale = labelScale !== 1 ? labelScale : original.label.scale;
+}
+
+function levelPalette(level, assign) {
+  // Distinct folder names at a level, in natural order -> assign(name, index).
+  if (level < 0) return new Map();
+  const names = new Set();
+  for (const layer of state.layers) {
+    for (const { path } of layer.placemarkIndex.values()) {
+      const name = path.slice(1, -1)[level];
+      if (name !== undefined) names.add(name);
+    }
+  }
+  const sorted = [...names].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  return new Map(sorted.map((name, i) => [name, assign(name, i)]));
+}
+
+function compileStyleRules() {
+  return styleConfig.rules.map((rule) => {
+    const out = { text: rule.query, color: rule.color, query: null, error: null, count: 0 };
+    try {
+      out.query = rule.query.trim() ? compileQuery(rule.query) : null;
+    } catch (e) {
+      out.error = e?.message ?? String(e);
+    }
+    return out;
+  });
+}
+
+function applyStyles() {
+  if (!viewer) return;
+  const active = styleIsActive();
+  if (!active && !stylesApplied) {
+    styleLegend = { colors: new Map(), shapes: new Map(), rules: [] };
+    renderStyleLegend();
+    return;
+  }
+  const colors = levelPalette(styleConfig.colorBy, (name, i) => paletteColor(i));
+  const shapes = levelPalette(styleConfig.shapeBy, (name, i) => MARKER_SHAPES[i % MARKER_SHAPES.length]);
+  const rules = compileStyleRules();
+  const cesiumColors = new Map();
+  const toColor = (css) => {
+    if (!css) return null;
+    if (!cesiumColors.has(css)) cesiumColors.set(css, Cesium.Color.fromCssColorString(css));
+    return cesiumColors.get(css);
+  };
+
+  for (const layer of state.layers) {
+    for (const [id, { path }] of layer.placemarkIndex) {
+      const entities = layer.nodeToEntity.get(id);
+      if (!entities) continue;
+      if (!active) {
+        for (const e of entities) restoreEntityStyle(e);
+        continue;
+      }
+      const folders = path.slice(1, -1);
+      const node = layer.nodesById.get(id);
+      let color = colors.get(folders[styleConfig.colorBy]);
+      // Rules go over the palette; the first match wins.
+      const rule = rules.find((r) => r.query && matchesFilter(node, r.query, folders));
+      if (rule) {
+        rule.count += 1;
+        color = rule.color;
+      }
+      const style = { color: toColor(color), shape: shapes.get(folders[styleConfig.shapeBy]) ?? null };
+      for (const e of entities) styleEntity(e, style);
+    }
+  }
+  stylesApplied = active;
+  styleLegend = { colors, shapes, rules };
+  renderStyleLegend();
+}
+
+function legendItems(map, render) {
+  const items = [...map].slice(0, LEGEND_MAX_ITEMS).map(([name, value]) => `<li>${render(value)}${escapeText(name)}</li>`);
+  if (map.size > LEGEND_MAX_ITEMS) items.push(`<li class="muted">…and ${(map.size - LEGEND_MAX_ITEMS).toLocaleString()} more</li>`);
+  return items.join('');
+}
+
+function renderStyleLegend() {
+  if (!els.styleLegend || !styleLegend) return;
+  const { colors, shapes, rules } = styleLegend;
+  const swatch = (css) => `<span class="swatch" style="background:${escapeText(css)}"></span>`;
+  const marker = (shape) => `<img class="legend-marker" src="${markerImage(shape)}" alt="${shape}" />`;
+  const sections = [];
+  if (colors.size) {
+    sections.push(`<div><div class="label">Colour: ${STYLE_LEVELS[styleConfig.colorBy]}</div><ul>${legendItems(colors, swatch)}</ul></div>`);
+  }
+  if (shapes.size) {
+    sections.push(`<div><div class="label">Marker: ${STYLE_LEVELS[styleConfig.shapeBy]}</div><ul>${legendItems(shapes, marker)}</ul></div>`);
+  }
+  const used = rules.filter((r) => r.query);
+  if (used.length) {
+    const items = used.map((r) => `<li>${swatch(r.color)}${escapeText(r.text)} <span class="muted">${r.count.toLocaleString()}</span></li>`);
+    sections.push(`<div><div class="label">Rules</div><ul>${items.join('')}</ul></div>`);
+  }
+  els.styleLegend.innerHTML = sections.join('') || '<div class="muted small">Showing the styles from the KML.</div>';
+
+  // Rule errors and match counts next to each rule.
+  for (const row of els.styleRules?.querySelectorAll('[data-rule-index]') ?? []) {
+    const rule = rules[Number(row.dataset.ruleIndex)];
+    const note = row.querySelector('.rule-note');
+    if (!rule || !note) continue;
+    note.textContent = rule.error ?? (rule.query ? `${rule.count.toLocaleString()} placemarks` : '');
+    note.classList.toggle('warn', Boolean(rule.error));
+  }
+}
+
+function renderStyleRules() {
+  if (!els.styleRules) return;
+  els.styleRules.innerHTML = styleConfig.rules.map((rule, i) => `
+    <div class="style-rule" data-rule-index="${i}">
+      <input type="color" class="rule-color" value="${escapeText(rule.color)}" aria-label="Rule colour" />
+      <input type="text" class="rule-query" value="${escapeText(rule.query)}" placeholder="Search query, e.g. accuracy>50 or source:GPS" />
+      <span class="rule-note muted small"></span>
+      <button class="icon-btn" data-action="remove-rule" title="Remove this rule">✕</button>
+    </div>`).join('');
+}
+
+function syncStyleForm() {
+  if (els.styleColorBy) els.styleColorBy.value = String(styleConfig.colorBy);
+  if (els.styleShapeBy) els.styleShapeBy.value = String(styleConfig.shapeBy);
+  if (els.stylePointSize) els.stylePointSize.value = String(styleConfig.pointSize);
+  if (els.styleLineWidth) els.styleLineWidth.value = String(styleConfig.lineWidth);
+  if (els.styleLabelScale) els.styleLabelScale.value = String(styleConfig.labelScale);
+  renderStyleRules();
+}
+
+function readStyleForm() {
+  const number = (input, fallback, min, max) => {
+    const n = Number(input?.value);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  };
+  styleConfig = {
+    colorBy: number(els.styleColorBy, -1, -1, STYLE_LEVELS.length - 1),
+    shapeBy: number(els.styleShapeBy, -1, -1, STYLE_LEVELS.length - 1),
+    pointSize: number(els.stylePointSize, 0, 0, 64),
+    lineWidth: number(els.styleLineWidth, 0, 0, 20),
+    labelScale: number(els.styleLabelScale, 1, 0.2, 4),
+    rules: Array.from(els.styleRules?.querySelectorAll('[data-rule-index]') ?? [], (row) => ({
+      query: row.querySelector('.rule-query').value,
+      color: row.querySelector('.rule-color').value,
+    })),
+  };
+}
+
+function onStyleFormChange() {
+  readStyleForm();
+  applyStyles();
+  scheduleSessionSave();
+}
+
+function addStyleRule() {
+  readStyleForm();
+  // Start from the current search, which is how most rules get written.
+  const color = PALETTE_COLORS[(styleConfig.rules.length + 3) % PALETTE_COLORS.length];
+  styleConfig.rules.push({ query: state.filterText.trim(), color });
+  renderStyleRules();
+  applyStyles();
+  scheduleSessionSave();
+}
+
+function removeStyleRule(index) {
+  readStyleForm();
+  styleConfig.rules.splice(index, 1);
+  renderStyleRules();
+  applyStyles();
+  scheduleSessionSave();
+}
+
+function setStyleConfig(config) {
+  styleConfig = { ...DEFAULT_STYLE, rules: [], ...(config ?? {}) };
+  syncStyleForm();
+  applyStyles();
+}
+
+function resetStyles() {
+  setStyleConfig(null);
+  scheduleSessionSave();
+}
+
+function openStylePanel() {
+  if (!els.stylePanel) return;
+  els.stylePanel.hidden = false;
+  syncStyleForm();
+  applyStyles();
+}
+
+// ---------- Sessions (IndexedDB) ----------
+
+// The last few sessions are kept in IndexedDB so a reload can pick up where the
+// user left off. A session stores each layer's source files (stored once, in
+// their own object store) plus the UI state: tree toggles, filter, labels and
+// camera. Tree state is keyed by node path, not by the generated node ids, so it
+// still applies to a slightly changed version of the same file.
+
+const SESSION_DB_NAME = 'kml-viewer';
+const SESSION_DB_VERSION = 2;
+const MAX_SESSIONS = 5;
+const SESSION_SAVE_DELAY_MS = 1000;
+
+let sessionDb = null; // Promise<IDBDatabase>
+let currentSessionId = null;
+let sessionSaveTimer = 0;
+let sessionSaving = false;
+
+function openSessionDb() {
+  if (!sessionDb) {
+    sessionDb = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB is not available.'));
+        return;
+      }
+      const req = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        // Version 2 added basemaps and settings; create whatever is missing.
+        for (const name of ['sessions', 'sources', 'basemaps']) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings', { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return sessionDb;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStores(names, mode, fn) {
+  const db = await openSessionDb();
+  const tx = db.transaction(names, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error ?? new Error('IndexedDB transaction aborted.'));
+  });
+  const result = await fn(...names.map((name) => tx.objectStore(name)));
+  await done;
+  return result;
+}
+
+async function withSessionStores(mode, fn) {
+  return withStores(['sessions', 'sources'], mode, fn);
+}
+
+function nodePathKeyer(layer) {
+  // Key = the names from the layer root down, with #n for the n-th sibling of the
+  // same name. Keys are built on demand: a save usually touches few nodes.
+  const keys = new Map();
+  const occurrence = new Map(); // node id -> index among same-named siblings
+  const keyOf = (node) => {
+    if (keys.has(node.id)) return keys.get(node.id);
+    const parent = layer.nodesById.get(node.parentId);
+    if (parent && !occurrence.has(node.id)) {
+      const seen = new Map();
+      for (const id of parent.children) {
+        const name = layer.nodesById.get(id)?.name;
+        const n = seen.get(name) ?? 0;
+        seen.set(name, n + 1);
+        occurrence.set(id, n);
+      }
+    }
+    const n = occurrence.get(node.id) ?? 0;
+    const base = `${parent ? keyOf(parent) : ''}\u001f${node.name}`;
+    const key = n ? `${base}#${n}` : base;
+    keys.set(node.id, key);
+    return key;
+  };
+  return keyOf;
+}
+
+function rememberDefaultTreeState(layer) {
+  // Sessions only store what the user changed from the file's own initial state.
+  for (const node of layer.nodesById.values()) {
+    node.defaultChecked = node.checked;
+    node.defaultExpanded = node.expanded;
+  }
+}
+
+function captureTreeState(layer) {
+  const keyOf = nodePathKeyer(layer);
+  const changed = {}; // path key -> [checked, expanded]
+  for (const node of layer.nodesById.values()) {
+    if (node.checked === node.defaultChecked && node.expanded === node.defaultExpanded) continue;
+    changed[keyOf(node)] = [node.checked ? 1 : 0, node.expanded ? 1 : 0];
+  }
+  return changed;
+}
+
+function applyTreeState(layer, changed) {
+  const keyOf = nodePathKeyer(layer);
+  for (const node of layer.nodesById.values()) {
+    const saved = changed[keyOf(node)];
+    if (!saved) continue;
+    node.checked = Boolean(saved[0]);
+    node.expanded = Boolean(saved[1]);
+  }
+  initLayerChecks(layer);
+}
+
+function captureCamera() {
+  const camera = viewer?.camera;
+  const c = camera?.positionCartographic;
+  if (!c) return null;
+  return {
+    lon: c.longitude,
+    lat: c.latitude,
+    height: c.height,
+    heading: camera.heading,
+    pitch: camera.pitch,
+    roll: camera.roll,
+  };
+}
+
+function restoreCamera(saved, { fly = false } = {}) {
+  if (!saved || !viewer) return;
+  const view = {
+    destination: Cesium.Cartesian3.fromRadians(saved.lon, saved.lat, saved.height),
+    orientation: { heading: saved.heading, pitch: saved.pitch, roll: saved.roll },
+  };
+  if (fly) viewer.camera.flyTo({ ...view, duration: BOOKMARK_FLY_SECONDS });
+  else viewer.camera.setView(view);
+}
+
+async function saveSource(source) {
+  const record = {
+    name: source.name,
+    file: source.file,
+    mainPath: source.mainPath,
+    documents: Array.from(source.documents),
+    assetFiles: Array.from(source.assetFiles),
+  };
+  return withSessionStores('readwrite', (sessions, sources) => idbRequest(sources.add(record)));
+}
+
+function scheduleSessionSave() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(saveSession, SESSION_SAVE_DELAY_MS);
+}
+
+async function saveSession() {
+  sessionSaveTimer = 0;
+  // Loads and restores save once they are done.
+  if (activeLoad || sessionSaving) {
+    scheduleSessionSave();
+    return;
+  }
+  if (!state.layers.length && !currentSessionId) return;
+
+  sessionSaving = true;
+  try {
+    for (const layer of state.layers) {
+      if (layer.sourceId === null) layer.sourceId = await saveSource(layer.source);
+    }
+
+    const record = {
+      savedAt: Date.now(),
+      title: state.layers.map((l) => l.fileName).join(', '),
+      layers: state.layers.map((l) => ({ sourceId: l.sourceId, fileName: l.fileName, tree: captureTreeState(l) })),
+      filterText: state.filterText,
+      searchOnGlobe: state.searchOnGlobe,
+      hideLabels: Boolean(els.hideLabels?.checked),
+      pointDisplay,
+      measurements: measurements.map(({ mode, name, points }) => ({ mode, name, points })),
+      style: styleConfig,
+      altitude: altitudeSettings(),
+      camera: captureCamera(),
+    };
+    if (currentSessionId !== null) record.id = currentSessionId;
+
+    currentSessionId = await withSessionStores('readwrite', async (sessions, sources) => {
+      const id = await idbRequest(sessions.put(record));
+      await pruneSessions(sessions, sources);
+      return id;
+    });
+  } catch (e) {
+    console.warn('Could not save the session:', e);
+  } finally {
+    sessionSaving = false;
+  }
+}
+
+async function pruneSessions(sessions, sources) {
+  // Keep the newest sessions, and only the sources they still use.
+  const all = await idbRequest(sessions.getAll());
+  all.sort((a, b) => b.savedAt - a.savedAt);
+  const kept = all.filter((sess) => sess.layers.length).slice(0, MAX_SESSIONS);
+  for (const sess of all) {
+    if (!kept.includes(sess) && sess.id !== currentSessionId) sessions.delete(sess.id);
+  }
+
+  const used = new Set(kept.flatMap((sess) => sess.layers.map((l) => l.sourceId)));
+  for (const layer of state.layers) used.add(layer.sourceId);
+  const sourceIds = await idbRequest(sources.getAllKeys());
+  for (const id of sourceIds) {
+    if (!used.has(id)) sources.delete(id);
+  }
+}
+
+async function listSessions() {
+  const all = await withSessionStores('readonly', (sessions) => idbRequest(sessions.getAll()));
+  return all.filter((sess) => sess.layers.length).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+async function deleteSession(id) {
+  await withSessionStores('readwrite', async (sessions, sources) => {
+    sessions.delete(id);
+    await pruneSessions(sessions, sources);
+  });
+}
+
+async function restoreSession(id) {
+  const { session, records } = await withSessionStores('readonly', async (sessions, sources) => {
+    const sess = await idbRequest(sessions.get(id));
+    const recs = sess ? await Promise.all(sess.layers.map((l) => idbRequest(sources.get(l.sourceId)))) : [];
+    return { session: sess, records: recs };
+  });
+  if (!session) throw new Error('That session no longer exists.');
+
+  currentSessionId = session.id;
+  hideSessionBar();
+
+  // Layers are stored top first; each load goes on top, so load bottom-up.
+  const toLoad = [];
+  for (let i = session.layers.length - 1; i >= 0; i--) {
+    const rec = records[i];
+    if (!rec) continue;
+    toLoad.push({
+      id: rec.id,
+      name: rec.name,
+      file: rec.file,
+      mainPath: rec.mainPath,
+      documents: new Map(rec.documents),
+      assetFiles: new Map(rec.assetFiles),
+      treeState: session.layers[i].tree,
+    });
+  }
+
+  const loaded = await loadSources(toLoad, { zoom: false });
+
+  if (els.hideLabels) els.hideLabels.checked = Boolean(session.hideLabels);
+  setPointDisplay(session.pointDisplay);
+  if (els.searchGlobe) els.searchGlobe.checked = Boolean(session.searchOnGlobe);
+  if (els.search) els.search.value = session.filterText || '';
+  state.searchOnGlobe = Boolean(session.searchOnGlobe);
+  state.filterText = session.filterText || '';
+  computeFilterMatches();
+  renderTree();
+  if (loaded.length) applyVisibilityFromTree();
+  setMeasurements(session.measurements);
+  setStyleConfig(session.style);
+  setAltitudeSettings(session.altitude);
+  restoreCamera(session.camera);
+
+  if (loaded.length < session.layers.length && !activeLoad) {
+    setStatus(`Restored ${loaded.length} of ${session.layers.length} files from the saved session.`);
+  }
+}
+
+function formatSessionLabel(sess) {
+  const when = new Date(sess.savedAt).toLocaleString();
+  return `${when} — ${sess.title}`;
+}
+
+function hideSessionBar() {
+  if (els.sessionBar) els.sessionBar.hidden = true;
+}
+
+async function initSessions() {
+  let sessions;
+  try {
+    sessions = await listSessions();
+  } catch (e) {
+    console.warn('Saved sessions are unavailable:', e);
+    return;
+  }
+  if (!sessions.length || !els.sessionBar || state.layers.length || linkedKmlUrls().length) return;
+
+  els.sessionSelect.innerHTML = sessions
+    .map((sess) => `<option value="${sess.id}">${escapeText(formatSessionLabel(sess))}</option>`)
+    .join('');
+  els.sessionSelect.hidden = sessions.length < 2;
+  if (els.sessionInfo) els.sessionInfo.textContent = sessions.length < 2 ? formatSessionLabel(sessions[0]) : '';
+  els.sessionBar.hidden = false;
+}
+
+// ---------- Bookmarks ----------
+
+// Named views: camera, tree toggles (per file name, keyed like sessions), search
+// and labels. They live in the settings store rather than in a session, so they
+// outlast the files and apply to whichever loaded layer has the same file name
+// (files loaded twice are told apart by their place in Places).
+// Exported as JSON they work for anyone who loads the same file.
+
+const BOOKMARK_FILE_TYPE = 'kml-viewer-bookmarks';
+const BOOKMARK_FLY_SECONDS = 1.5;
+
+let bookmarks = []; // [{ name, savedAt, camera, layers: [{ fileName, index, tree }], filterText, searchOnGlobe, hideLabels }]
+let currentBookmark = -1; // index of the last applied bookmark
+let presenting = false;
+
+function captureBookmark(name) {
+  return {
+    name,
+    savedAt: Date.now(),
+    camera: captureCamera(),
+    // index is the layer's place in Places, which tells apart files with the same name.
+    layers: state.layers.map((l, index) => ({ fileName: l.fileName, index, tree: captureTreeState(l) })),
+    filterText: state.filterText,
+    searchOnGlobe: state.searchOnGlobe,
+    hideLabels: Boolean(els.hideLabels?.checked),
+  };
+}
+
+function matchBookmarkLayers(savedLayers) {
+  // Each saved layer takes a different loaded layer with its file name: the one
+  // at its saved place if that is free, else the first one left. Returns
+  // [layer, saved] pairs and the saved layers nothing was left for.
+  const free = new Set(state.layers);
+  const pairs = [];
+  const unmatched = [];
+  for (const saved of savedLayers) {
+    const atIndex = state.layers[saved.index];
+    const layer = atIndex && free.has(atIndex) && atIndex.fileName === saved.fileName
+      ? atIndex
+      : [...free].find((l) => l.fileName === saved.fileName);
+    if (layer) {
+      free.delete(layer);
+      pairs.push([layer, saved]);
+    } else {
+      unmatched.push(saved);
+    }
+  }
+  return { pairs, unmatched };
+}
+
+function resetTreeState(layer) {
+  for (const node of layer.nodesById.values()) {
+    node.checked = node.defaultChecked;
+    node.expanded = node.defaultExpanded;
+  }
+}
+
+function applyBookmark(index) {
+  const bookmark = bookmarks[index];
+  if (!bookmark) return;
+  currentBookmark = index;
+
+  // Layers the view does not mention keep their state; a file the view names
+  // but nobody loaded is only reported.
+  const { pairs, unmatched } = matchBookmarkLayers(bookmark.layers);
+  for (const [layer, saved] of pairs) {
+    resetTreeState(layer);
+    applyTreeState(layer, saved.tree || {});
+  }
+  const missing = unmatched.map((saved) => saved.fileName);
+
+  if (els.hideLabels) els.hideLabels.checked = Boolean(bookmark.hideLabels);
+  if (els.searchGlobe) els.searchGlobe.checked = Boolean(bookmark.searchOnGlobe);
+  if (els.search) els.search.value = bookmark.filterText || '';
+  state.searchOnGlobe = Boolean(bookmark.searchOnGlobe);
+  state.filterText = bookmark.filterText || '';
+  computeFilterMatches();
+  renderTree();
+  applyVisibilityFromTree();
+  restoreCamera(bookmark.camera, { fly: true });
+  renderBookmarks();
+
+  if (missing.length) setStatus(`View "${bookmark.name}": not loaded: ${missing.join(', ')}`);
+}
+
+function stepBookmark(delta) {
+  if (!bookmarks.length) return;
+  const from = currentBookmark < 0 ? (delta > 0 ? -1 : 0) : currentBookmark;
+  applyBookmark((from + delta + bookmarks.length) % bookmarks.length);
+}
+
+function setPresenting(on) {
+  presenting = Boolean(on) && bookmarks.length > 0;
+  if (presenting) applyBookmark(currentBookmark < 0 ? 0 : currentBookmark);
+  else renderBookmarks();
+}
+
+function addBookmark() {
+  const name = els.bookmarkName?.value.trim() || `View ${bookmarks.length + 1}`;
+  // Saving under an existing name updates that view in place.
+  const bookmark = captureBookmark(name);
+  const existing = bookmarks.findIndex((b) => b.name === name);
+  if (existing >= 0) bookmarks[existing] = bookmark;
+  else bookmarks.push(bookmark);
+  currentBookmark = existing >= 0 ? existing : bookmarks.length - 1;
+  if (els.bookmarkName) els.bookmarkName.value = '';
+  renderBookmarks();
+  saveBookmarks();
+  setStatus(`Saved view "${name}"`);
+}
+
+function removeBookmark(index) {
+  bookmarks.splice(index, 1);
+  if (currentBookmark >= index) currentBookmark -= 1;
+  if (!bookmarks.length) presenting = false;
+  renderBookmarks();
+  saveBookmarks();
+}
+
+function renderBookmarks() {
+  const has = bookmarks.length > 0;
+  for (const b of [els.prevBookmark, els.nextBookmark, els.presentBookmarks, els.exportBookmarks]) {
+    if (b) b.disabled = !has;
+  }
+  els.presentBookmarks?.setAttribute('aria-pressed', String(presenting));
+  if (els.bookmarkPosition) {
+    els.bookmarkPosition.textContent = has && currentBookmark >= 0 ? `${currentBookmark + 1} / ${bookmarks.length}` : '';
+  }
+  if (!els.bookmarkList) return;
+  els.bookmarkList.hidden = !has;
+  els.bookmarkList.innerHTML = bookmarks.map((b, i) => `
+    <li data-bookmark-index="${i}"${i === currentBookmark ? ' class="current"' : ''}>
+      <button class="link-btn" data-action="apply" title="Apply this view">${escapeText(b.name)}</button>
+      <span class="muted">${escapeText(b.layers.map((l) => l.fileName).join(', '))}</span>
+      <button class="icon-btn" data-action="remove" title="Remove this view">✕</button>
+    </li>`).join('');
+}
+
+function normalizeBookmark(b) {
+  // Imported files come from elsewhere; keep only well-formed fields.
+  if (!b || typeof b.name !== 'string' || !b.name.trim()) return null;
+  const camera = b.camera && ['lon', 'lat', 'height'].every((k) => Number.isFinite(b.camera[k])) ? b.camera : null;
+  return {
+    name: b.name.trim(),
+    savedAt: Number(b.savedAt) || Date.now(),
+    camera,
+    layers: (Array.isArray(b.layers) ? b.layers : [])
+      .filter((l) => typeof l?.fileName === 'string')
+      .map((l, i) => ({
+        fileName: l.fileName,
+        index: Number.isInteger(l.index) && l.index >= 0 ? l.index : i,
+        tree: l.tree && typeof l.tree === 'object' ? l.tree : {},
+      })),
+    filterText: typeof b.filterText === 'string' ? b.filterText : '',
+    searchOnGlobe: Boolean(b.searchOnGlobe),
+    hideLabels: Boolean(b.hideLabels),
+  };
+}
 
-  setStatus('Loading into 3D viewer…');
+function exportBookmarks() {
+  if (!bookmarks.length) return;
+  const json = JSON.stringify({ type: BOOKMARK_FILE_TYPE, version: 1, bookmarks }, null, 2);
+  const files = [...new Set(bookmarks.flatMap((b) => b.layers.map((l) => l.fileName.replace(/\.km[lz]$/i, ''))))];
+  const name = `${files.length === 1 ? `${files[0]} ` : ''}views.json`;
+  downloadBlob(new Blob([json], { type: 'application/json' }), name);
+  setStatus(`Exported ${name} (${bookmarks.length} view${bookmarks.length === 1 ? '' : 's'})`);
+}
 
-  // Clear previous data
-  if (kmlDataSource && viewer) {
-    try { await viewer.dataSources.remove(kmlDataSource, true); } catch { /* ignore */ }
+async function importBookmarks(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (e) {
+    setStatus(`Could not read ${file.name}: ${e.message}`);
+    return;
+  }
+  const list = Array.isArray(data) ? data : data?.type === BOOKMARK_FILE_TYPE ? data.bookmarks : null;
+  const imported = (Array.isArray(list) ? list : []).map(normalizeBookmark).filter(Boolean);
+  if (!imported.length) {
+    setStatus(`${file.name} has no views.`);
+    return;
   }
+  // Same name replaces, so re-importing a teammate's updated file does not duplicate.
+  for (const b of imported) {
+    const existing = bookmarks.findIndex((x) => x.name === b.name);
+    if (existing >= 0) bookmarks[existing] = b;
+    else bookmarks.push(b);
+  }
+  renderBookmarks();
+  saveBookmarks();
+  setStatus(`Imported ${imported.length} view${imported.length === 1 ? '' : 's'} from ${file.name}`);
+}
 
-  // Load KML into Cesium
-  const blobUrl = URL.createObjectURL(new Blob([text], { type: 'application/vnd.google-earth.kml+xml' }));
+async function saveBookmarks() {
   try {
-    kmlDataSource = await Cesium.KmlDataSource.load(blobUrl, {
-      camera: viewer.scene.camera,
-      canvas: viewer.scene.canvas,
-      // KML from Results Archive uses absolute altitudes; clamping can help visibility if alts are off.
-      clampToGround: true,
-    });
-  } finally {
-    URL.revokeObjectURL(blobUrl);
+    await withStores(['settings'], 'readwrite', (settings) => idbRequest(settings.put({ key: 'bookmarks', list: bookmarks })));
+  } catch (e) {
+    console.warn('Could not save the views:', e);
   }
+}
 
-  viewer.dataSources.add(kmlDataSource);
-  rebuildEntityIndex();
-  rebuildPlacemarkToEntityMap();
-  applyVisibilityFromTree();
+async function initBookmarks() {
+  try {
+    const saved = await withStores(['settings'], 'readonly', (settings) => idbRequest(settings.get('bookmarks')));
+    bookmarks = (saved?.list || []).map(normalizeBookmark).filter(Boolean);
+  } catch (e) {
+    console.warn('Saved views are unavailable:', e);
+  }
+  renderBookmarks();
+}
+
+// ---------- Deep links ----------
+
+// ?kml=path (repeatable) loads same-origin or relative files at startup, so other
+// pages can link straight to the data. The hash describes the view and follows
+// the user as they navigate, so copying the address shares what is on screen:
+//   #cam=lon,lat,height,heading,pitch,roll   degrees and metres; heading and on optional
+//   &sel=Doc/P03/Wi-Fi/Building A            the selected feature
+//   &off=path,path&on=path,path              toggles that differ from the file
+// Paths are node names from the layer root down, each URI-encoded, with #n for
+// the n-th sibling of the same name (the keys sessions use).
+
+const DEEP_LINK_UPDATE_MS = 500;
+
+let pendingDeepLink = null; // applied after the next load
+let deepLinkTimer = 0;
+let deepLinkToggles = { version: -1, text: '' }; // off=/on= part, rebuilt when toggleVersion moves
+
+function linkedKmlUrls() {
+  return new URLSearchParams(location.search).getAll('kml').filter(Boolean);
+}
+
+function encodeNodePath(key) {
+  return key.split('\u001f').slice(1).map(encodeURIComponent).join('/');
+}
+
+function decodeNodePath(text) {
+  try {
+    return `\u001f${text.split('/').map(decodeURIComponent).join('\u001f')}`;
+  } catch {
+    return null; // malformed escape
+  }
+}
+
+function parseDeepLink(hash) {
+  const params = new Map();
+  for (const part of hash.replace(/^#/, '').split('&')) {
+    const i = part.indexOf('=');
+    if (i > 0) params.set(part.slice(0, i), part.slice(i + 1));
+  }
+  if (!params.size) return null;
+
+  const toRad = (d) => (d * Math.PI) / 180;
+  const cam = params.get('cam')?.split(',').map(Number);
+  const paths = (name) => (params.get(name) || '').split(',').filter(Boolean).map(decodeNodePath).filter(Boolean);
+  return {
+    camera: cam?.length >= 3 && cam.every(Number.isFinite) ? {
+      lon: toRad(cam[0]),
+      lat: toRad(cam[1]),
+      height: cam[2],
+      heading: toRad(cam[3] ?? 0),
+      pitch: toRad(cam[4] ?? -90),
+      roll: toRad(cam[5] ?? 0),
+    } : null,
+    selected: params.has('sel') ? decodeNodePath(params.get('sel')) : null,
+    hasToggles: params.has('off') || params.has('on'),
+    off: paths('off'),
+    on: paths('on'),
+  };
+}
+
+function toggleDelta(layer) {
+  // The fewest subtrees to switch: a subtree whose leaves all ended up on (or
+  // off) is one entry, otherwise its changed parts are listed.
+  const nodes = Array.from(layer.nodesById.values()); // parents before children
+  const leaves = new Map(); // node id -> { changed, on, off } over its leaves
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const node = nodes[i];
+    if (!node.children.length) {
+      leaves.set(node.id, { changed: node.checked !== node.defaultChecked, on: node.checked, off: !node.checked });
+      continue;
+    }
+    const sum = { changed: false, on: true, off: true };
+    for (const id of node.children) {
+      const c = leaves.get(id);
+      sum.changed ||= c.changed;
+      sum.on &&= c.on;
+      sum.off &&= c.off;
+    }
+    leaves.set(node.id, sum);
+  }
+
+  const keyOf = nodePathKeyer(layer);
+  const delta = { on: [], off: [] };
+  const visit = (id) => {
+    const c = leaves.get(id);
+    if (!c?.changed) return;
+    const node = layer.nodesById.get(id);
+    if (c.on || c.off) delta[c.on ? 'on' : 'off'].push(keyOf(node));
+    else for (const child of node.children) visit(child);
+  };
+  visit(layer.rootNodeId);
+  return delta;
+}
+
+function deepLinkHash() {
+  const parts = [];
+  const cam = captureCamera();
+  if (cam) {
+    const deg = (r, digits) => Number(((r * 180) / Math.PI).toFixed(digits));
+    parts.push(`cam=${[deg(cam.lon, 6), deg(cam.lat, 6), Number(cam.height.toFixed(1)),
+      deg(cam.heading, 1), deg(cam.pitch, 1), deg(cam.roll, 1)].join(',')}`);
+  }
+  const selectedLayer = state.selectedNodeId ? nodeLayer(state.selectedNodeId) : null;
+  if (selectedLayer) {
+    parts.push(`sel=${encodeNodePath(nodePathKeyer(selectedLayer)(state.nodesById.get(state.selectedNodeId)))}`);
+  }
+  // The toggles take a pass over every node; camera moves reuse the last result.
+  if (deepLinkToggles.version !== toggleVersion) {
+    const on = [];
+    const off = [];
+    for (const layer of state.layers) {
+      const delta = toggleDelta(layer);
+      on.push(...delta.on.map(encodeNodePath));
+      off.push(...delta.off.map(encodeNodePath));
+    }
+    const text = [off.length && `off=${off.join(',')}`, on.length && `on=${on.join(',')}`].filter(Boolean).join('&');
+    deepLinkToggles = { version: toggleVersion, text };
+  }
+  if (deepLinkToggles.text) parts.push(deepLinkToggles.text);
+  return parts.join('&');
+}
+
+function updateDeepLink() {
+  deepLinkTimer = 0;
+  // Keep the incoming link in the address bar until it has been applied.
+  if (activeLoad || pendingDeepLink) return;
+  const hash = state.layers.length ? deepLinkHash() : '';
+  if ((hash ? `#${hash}` : '') === location.hash) return;
+  history.replaceState(history.state, '', `${location.pathname}${location.search}${hash ? `#${hash}` : ''}`);
+}
+
+function scheduleDeepLinkUpdate() {
+  clearTimeout(deepLinkTimer);
+  deepLinkTimer = setTimeout(updateDeepLink, DEEP_LINK_UPDATE_MS);
+}
+
+function takePendingDeepLink() {
+  const link = pendingDeepLink;
+  pendingDeepLink = null;
+  return link;
+}
+
+function applyDeepLink(link) {
+  // Paths are looked up in the layers top first, so a name shared by two loaded
+  // files resolves to the top one.
+  const ids = new Map(); // path key -> node id
+  if (link.selected || link.hasToggles) {
+    for (const layer of state.layers) {
+      const keyOf = nodePathKeyer(layer);
+      for (const node of layer.nodesById.values()) {
+        const key = keyOf(node);
+        if (!ids.has(key)) ids.set(key, node.id);
+      }
+    }
+  }
 
-  // Enable controls
-  for (const b of [els.zoomTo, els.expandAll, els.collapseAll, els.checkAll, els.uncheckAll]) {
-    if (b) b.disabled = false;
+  if (link.hasToggles) {
+    for (const layer of state.layers) resetTreeState(layer);
+    for (const key of link.off) if (ids.has(key)) setCheckedRecursive(ids.get(key), false);
+    for (const key of link.on) if (ids.has(key)) setCheckedRecursive(ids.get(key), true);
+    for (const layer of state.layers) initLayerChecks(layer);
+    renderTree();
+    applyVisibilityFromTree();
   }
 
-  // Zoom (prefer flyTo for reliability)
+  const selected = link.selected ? ids.get(link.selected) : null;
+  if (selected) selectNode(selected, { reveal: true, fly: !link.camera });
+  restoreCamera(link.camera);
+  scheduleDeepLinkUpdate();
+}
+
+async function loadLinkedFiles(urls) {
+  const files = [];
+  const failed = [];
+  for (const href of urls) {
+    try {
+      const url = new URL(href, location.href);
+      // Other origins would need CORS and could be anything; only this site's files.
+      if (url.origin !== location.origin) throw new Error('not on this site');
+      const name = decodeURIComponent(url.pathname.split('/').pop()) || 'linked.kml';
+      setStatus(`Downloading ${name}…`);
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      files.push(new File([await res.blob()], name));
+    } catch (e) {
+      failed.push(`${href}: ${e?.message ?? String(e)}`);
+    }
+  }
+  if (files.length) await loadKmlFiles(files);
+  if (failed.length) setStatus(`Could not open ${failed.join(' • ')}`);
+}
+
+function initDeepLink() {
+  pendingDeepLink = parseDeepLink(location.hash);
+  const urls = linkedKmlUrls();
+  if (urls.length) loadLinkedFiles(urls);
+}
+
+// ---------- Basemaps ----------
+
+// The globe's bottom imagery layer. Besides the built-ins the user can add URL
+// templates (XYZ/WMTS/WMS, e.g. a localhost tile server) and local MBTiles files
+// or tile folders. Added basemaps, the current choice and its opacity are kept in
+// IndexedDB next to sessions; local files are stored as File objects so they
+// work again after a reload.
+
+const BUILTIN_BASEMAPS = [
+  { id: 'osm', name: 'OpenStreetMap', kind: 'osm' },
+  { id: 'natural-earth', name: 'Natural Earth II (offline, low-res)', kind: 'natural-earth' },
+];
+const DEFAULT_BASEMAP_ID = 'osm';
+const BASEMAP_URL_HINTS = {
+  xyz: 'http://localhost:8080/tiles/{z}/{x}/{y}.png',
+  wmts: 'https://example.com/wmts/{TileMatrix}/{TileRow}/{TileCol}.png or a KVP endpoint',
+  wms: 'https://example.com/geoserver/wms',
+};
+
+let basemaps = BUILTIN_BASEMAPS.slice();
+let basemapSettings = { id: DEFAULT_BASEMAP_ID, alpha: 1 };
+let basemapLayer = null;
+let basemapRequest = 0; // only the latest choice may replace the layer
+
+function createLocalTileProvider({ minimumLevel = 0, maximumLevel, rectangle, readTile }) {
+  // The URL template is never fetched; it only supplies Web Mercator tiling.
+  const provider = new Cesium.UrlTemplateImageryProvider({ url: 'local/{z}/{x}/{y}', minimumLevel, maximumLevel, rectangle });
+  provider.requestImage = async (x, y, level) => {
+    const blob = await readTile(x, y, level);
+    if (!blob) throw new Error(`No tile ${level}/${x}/${y}.`);
+    return createImageBitmap(blob);
+  };
+  // Local tile sets often have gaps; Cesium shows the parent tile instead, so the
+  // per-tile errors are not worth logging.
+  provider.errorEvent.addEventListener(() => {});
+  return provider;
+}
+
+function folderTileProvider(basemap) {
+  const tiles = new Map();
+  let minLevel = Infinity;
+  let maxLevel = 0;
+  let tms = false;
+  for (const { path, file } of basemap.files) {
+    const m = /(?:^|\/)(\d+)\/(\d+)\/(\d+)\.(?:png|jpe?g|webp)$/i.exec(path);
+    if (m) {
+      const z = Number(m[1]);
+      tiles.set(`${z}/${m[2]}/${m[3]}`, file);
+      minLevel = Math.min(minLevel, z);
+      maxLevel = Math.max(maxLevel, z);
+    } else if (/(?:^|\/)tilemapresource\.xml$/i.test(path)) {
+      tms = true; // gdal2tiles-style folders count rows from the south
+    }
+  }
+  if (!tiles.size) throw new Error(`${basemap.name} has no z/x/y tile images.`);
+  return createLocalTileProvider({
+    minimumLevel: minLevel,
+    maximumLevel: maxLevel,
+    readTile: async (x, y, z) => tiles.get(`${z}/${x}/${tms ? (1 << z) - 1 - y : y}`) ?? null,
+  });
+}
+
+async function mbtilesProvider(basemap) {
+  const mbtiles = await openMbtiles(basemap.file);
+  const meta = mbtiles.metadata;
+  const bounds = String(meta.bounds ?? '').split(',').map(Number);
+  return createLocalTileProvider({
+    minimumLevel: Number(meta.minzoom) || 0,
+    maximumLevel: meta.maxzoom != null ? Number(meta.maxzoom) : undefined,
+    rectangle: bounds.length === 4 && bounds.every(Number.isFinite) ? Cesium.Rectangle.fromDegrees(...bounds) : undefined,
+    readTile: (x, y, z) => mbtiles.readTile(z, x, y),
+  });
+}
+
+async function createBasemapProvider(basemap) {
+  switch (basemap.kind) {
+    case 'osm':
+      return new Cesium.OpenStreetMapImageryProvider({ url: 'https://a.tile.openstreetmap.org/' });
+    case 'natural-earth':
+      // Ships with Cesium (and is precached with it), so it works fully offline.
+      return Cesium.TileMapServiceImageryProvider.fromUrl(Cesium.buildModuleUrl('Assets/Textures/NaturalEarthII'));
+    case 'xyz':
+      return new Cesium.UrlTemplateImageryProvider({ url: basemap.url.replace('{-y}', '{reverseY}') });
+    case 'wmts':
+      return new Cesium.WebMapTileServiceImageryProvider({
+        url: basemap.url,
+        layer: basemap.layers,
+        style: 'default',
+        tileMatrixSetID: basemap.matrixSet || 'GoogleMapsCompatible',
+        format: 'image/png',
+      });
+    case 'wms':
+      return new Cesium.WebMapServiceImageryProvider({
+        url: basemap.url,
+        layers: basemap.layers,
+        parameters: { format: 'image/png', transparent: true },
+      });
+    case 'mbtiles':
+      return mbtilesProvider(basemap);
+    case 'folder':
+      return folderTileProvider(basemap);
+    default:
+      throw new Error(`Unknown basemap type "${basemap.kind}".`);
+  }
+}
+
+async function withBasemapStores(mode, fn) {
+  return withStores(['basemaps', 'settings'], mode, fn);
+}
+
+async function saveBasemapSettings() {
+  try {
+    await withBasemapStores('readwrite', (store, settings) => idbRequest(settings.put({ key: 'basemap', ...basemapSettings })));
+  } catch (e) {
+    console.warn('Could not save the basemap choice:', e);
+  }
+}
+
+function findBasemap(id) {
+  return basemaps.find((b) => String(b.id) === String(id)) ?? null;
+}
+
+async function applyBasemap(id) {
+  const basemap = findBasemap(id) ?? findBasemap(DEFAULT_BASEMAP_ID);
+  const request = ++basemapRequest;
+  let provider;
+  try {
+    provider = await createBasemapProvider(basemap);
+  } catch (e) {
+    if (request === basemapRequest) {
+      setStatus(`Basemap "${basemap.name}" failed: ${e?.message ?? String(e)}`);
+      syncBasemapControls();
+    }
+    return false;
+  }
+  if (request !== basemapRequest || !viewer) return false;
+
+  if (basemapLayer) viewer.imageryLayers.remove(basemapLayer, true);
+  basemapLayer = viewer.imageryLayers.addImageryProvider(provider, 0);
+  basemapLayer.alpha = basemapSettings.alpha;
+  basemapSettings.id = basemap.id;
+  syncBasemapControls();
+  return true;
+}
+
+function setBasemapAlpha(alpha) {
+  basemapSettings.alpha = alpha;
+  if (basemapLayer) basemapLayer.alpha = alpha;
+}
+
+function renderBasemapOptions() {
+  if (!els.basemapSelect) return;
+  els.basemapSelect.innerHTML = basemaps
+    .map((b) => `<option value="${escapeText(String(b.id))}">${escapeText(b.name)}</option>`)
+    .join('');
+  syncBasemapControls();
+}
+
+function syncBasemapControls() {
+  if (!els.basemapSelect) return;
+  els.basemapSelect.value = String(basemapSettings.id);
+  if (els.basemapAlpha) els.basemapAlpha.value = String(basemapSettings.alpha);
+  if (els.removeBasemap) els.removeBasemap.disabled = BUILTIN_BASEMAPS.some((b) => b.id === basemapSettings.id);
+}
+
+function syncBasemapForm() {
+  const kind = els.basemapKind.value;
+  const isUrl = kind in BASEMAP_URL_HINTS;
+  els.basemapUrl.hidden = !isUrl;
+  els.basemapUrl.placeholder = BASEMAP_URL_HINTS[kind] ?? '';
+  els.basemapLayers.hidden = kind !== 'wms' && kind !== 'wmts';
+  els.basemapLayers.placeholder = kind === 'wms' ? 'Layers (comma-separated)' : 'Layer';
+  els.basemapMatrixSet.hidden = kind !== 'wmts';
+  els.basemapFile.hidden = kind !== 'mbtiles';
+  els.basemapFolder.hidden = kind !== 'folder';
+}
+
+function basemapFromForm() {
+  const kind = els.basemapKind.value;
+  const name = els.basemapName.value.trim();
+  const url = els.basemapUrl.value.trim();
+  const layers = els.basemapLayers.value.trim();
+
+  if (kind === 'mbtiles') {
+    const file = els.basemapFile.files?.[0];
+    if (!file) throw new Error('Choose an .mbtiles file.');
+    return { kind, name: name || file.name, file };
+  }
+  if (kind === 'folder') {
+    const picked = Array.from(els.basemapFolder.files ?? []);
+    if (!picked.length) throw new Error('Choose a folder of z/x/y tiles.');
+    const folder = picked[0].webkitRelativePath.split('/')[0] || 'Tile folder';
+    return { kind, name: name || folder, files: picked.map((file) => ({ path: selectionPath(file), file })) };
+  }
+
+  if (!url) throw new Error('Enter a URL.');
+  if (kind === 'xyz' && !/\{z\}/.test(url)) throw new Error('XYZ templates need {z}, {x} and {y} (or {-y}/{reverseY}).');
+  if ((kind === 'wms' || kind === 'wmts') && !layers) throw new Error(`Enter the ${kind === 'wms' ? 'layers' : 'layer'} to show.`);
+  let host = url;
   try {
-    await viewer.flyTo(kmlDataSource);
+    host = new URL(url.replace(/\{[^}]*\}/g, '0')).host;
   } catch {
-    try { await viewer.zoomTo(kmlDataSource); } catch { /* ignore */ }
+    throw new Error('That URL is not valid.');
   }
+  const entry = { kind, name: name || `${kind.toUpperCase()} ${host}`, url };
+  if (kind !== 'xyz') entry.layers = layers;
+  if (kind === 'wmts') entry.matrixSet = els.basemapMatrixSet.value.trim();
+  return entry;
+}
 
-  renderTree();
-  setStatus('Ready. Use the Places tree to toggle layers.');
+async function addBasemapFromForm() {
+  let entry;
+  try {
+    entry = basemapFromForm();
+    // Open it once so a bad file or template is reported before it is saved.
+    await createBasemapProvider(entry);
+  } catch (e) {
+    setStatus(`Basemap not added: ${e?.message ?? String(e)}`);
+    return;
+  }
+  try {
+    entry.id = await withBasemapStores('readwrite', (store) => idbRequest(store.add(entry)));
+  } catch (e) {
+    // Still usable for this visit, just not remembered.
+    console.warn('Could not save the basemap:', e);
+    entry.id = `temp-${Date.now()}`;
+  }
+  basemaps.push(entry);
+  renderBasemapOptions();
+  els.basemapForm.hidden = true;
+  if (await applyBasemap(entry.id)) {
+    setStatus(`Basemap: ${entry.name}`);
+    saveBasemapSettings();
+  }
+}
+
+async function removeCurrentBasemap() {
+  const basemap = findBasemap(basemapSettings.id);
+  if (!basemap || BUILTIN_BASEMAPS.includes(basemap)) return;
+  basemaps = basemaps.filter((b) => b !== basemap);
+  if (typeof basemap.id === 'number') {
+    try {
+      await withBasemapStores('readwrite', (store) => idbRequest(store.delete(basemap.id)));
+    } catch (e) {
+      console.warn('Could not delete the basemap:', e);
+    }
+  }
+  renderBasemapOptions();
+  await applyBasemap(DEFAULT_BASEMAP_ID);
+  saveBasemapSettings();
+}
+
+async function initBasemaps() {
+  try {
+    const [saved, settings] = await withBasemapStores('readonly', (store, settingsStore) =>
+      Promise.all([idbRequest(store.getAll()), idbRequest(settingsStore.get('basemap'))]));
+    basemaps = [...BUILTIN_BASEMAPS, ...saved];
+    if (settings) basemapSettings = { id: settings.id, alpha: settings.alpha ?? 1 };
+  } catch (e) {
+    console.warn('Saved basemaps are unavailable:', e);
+  }
+  renderBasemapOptions();
+  if (!(await applyBasemap(basemapSettings.id)) && !basemapLayer) await applyBasemap(DEFAULT_BASEMAP_ID);
+}
+
+// ---------- Offline (service worker) ----------
+
+// service-worker.js precaches this version's app shell and Cesium, and keeps a
+// bounded cache of imagery tiles. New versions are found by reading the app
+// version from the live index.html; the new worker then installs in the
+// background and the user chooses when to reload into it.
+
+const SW_REPLY_TIMEOUT_MS = 3000;
+
+let swRegistration = null;
+let reloadOnControllerChange = false;
+
+function serviceWorkerUrl(version) {
+  const url = new URL('./service-worker.js', window.location.href);
+  url.searchParams.set('v', version);
+  return url.toString();
+}
+
+function swRequest(message) {
+  // Ask the active service worker something and wait for its reply. Workers from
+  // before the tile cache never answer, so give up after a while with null.
+  const sw = navigator.serviceWorker?.controller;
+  if (!sw) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), SW_REPLY_TIMEOUT_MS);
+    channel.port1.onmessage = (e) => {
+      clearTimeout(timer);
+      resolve(e.data);
+    };
+    sw.postMessage(message, [channel.port2]);
+  });
+}
+
+function watchForWaitingWorker(reg) {
+  if (reg.waiting && navigator.serviceWorker.controller) showUpdateReady(reg.waiting);
+  reg.addEventListener('updatefound', () => {
+    const installing = reg.installing;
+    installing?.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update.
+      if (installing.state === 'installed' && navigator.serviceWorker.controller) showUpdateReady(installing);
+    });
+  });
+}
+
+function showUpdateReady(worker) {
+  if (!els.updateBanner) return;
+  els.updateBanner.hidden = false;
+  els.reloadApp.onclick = () => {
+    reloadOnControllerChange = true;
+    worker.postMessage({ type: 'skip-waiting' });
+  };
+}
+
+async function checkForAppUpdate() {
+  if (!swRegistration || !navigator.onLine) return;
+  try {
+    const res = await fetch('./index.html', { cache: 'no-store' });
+    const latest = /app\.js\?v=([\w.-]+)/.exec(await res.text())?.[1];
+    if (!latest || latest === APP_VERSION) return;
+    // A new script URL makes the browser install that version alongside this one.
+    await navigator.serviceWorker.register(serviceWorkerUrl(latest));
+  } catch {
+    // Offline or the server is unreachable; try again later.
+  }
+}
+
+async function registerServiceWorker() {
+  try {
+    swRegistration = await navigator.serviceWorker.register(serviceWorkerUrl(APP_VERSION));
+  } catch (e) {
+    console.warn('Service worker registration failed:', e);
+    return;
+  }
+  watchForWaitingWorker(swRegistration);
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    // Only reload when the user asked for the new version; the first install also
+    // fires controllerchange when it claims this page.
+    if (reloadOnControllerChange) window.location.reload();
+    else refreshTileCacheInfo();
+  });
+
+  await checkForAppUpdate();
+  window.addEventListener('online', checkForAppUpdate);
+  refreshTileCacheInfo();
+}
+
+async function refreshTileCacheInfo(info) {
+  if (!els.tileCacheInfo) return;
+  const data = info !== undefined ? info : await swRequest({ type: 'tile-cache-info' });
+  if (!data) {
+    els.tileCacheInfo.textContent = navigator.serviceWorker?.controller
+      ? 'Offline cache is not responding; reload to update it.'
+      : 'Offline cache starts after the next reload.';
+    return;
+  }
+  if (els.tileCacheLimit) els.tileCacheLimit.value = String(data.limit);
+  let text = `${data.tiles.toLocaleString()} tiles cached`;
+  const estimate = await navigator.storage?.estimate?.().catch(() => null);
+  if (estimate?.usage) text += ` • ${formatBytes(estimate.usage)} used by this app`;
+  els.tileCacheInfo.textContent = text;
 }
 
 // ---------- UI wiring ----------
 
-els.kmlInput?.addEventListener('change', async (e) => {
+els.openCompare?.addEventListener('click', openComparison);
+els.openDiagnostics?.addEventListener('click', () => {
+  els.diagnostics.hidden = false;
+  renderDiagnostics();
+});
+els.closeDiagnostics?.addEventListener('click', () => { els.diagnostics.hidden = true; });
+els.diagnosticsKind?.addEventListener('change', renderDiagnostics);
+els.diagnosticsBody?.addEventListener('click', (e) => {
+  const row = e.target.closest('tr[data-node-id]');
+  if (row) selectNode(row.dataset.nodeId, { fly: true, reveal: true });
+});
+els.openDiff?.addEventListener('click', openDiff);
+els.closeDiff?.addEventListener('click', closeDiff);
+els.diffOld?.addEventListener('change', applyDiff);
+els.diffNew?.addEventListener('change', applyDiff);
+els.diffOnlyChanges?.addEventListener('change', () => {
+  computeFilterMatches();
+  renderTree();
+  applyVisibilityFromTree();
+});
+els.loadDiffVersion?.addEventListener('click', () => els.diffInput?.click());
+els.diffInput?.addEventListener('change', async (e) => {
   const file = e.target.files?.[0];
-  if (!file) return;
+  e.target.value = '';
+  if (file) await loadDiffVersion(file);
+});
+els.exportDiff?.addEventListener('click', exportDiffReport);
+els.diffBody?.addEventListener('click', (e) => {
+  const row = e.target.closest('tr[data-node-id]');
+  if (row) selectNode(row.dataset.nodeId, { fly: true, reveal: true });
+});
+els.closeCompare?.addEventListener('click', closeComparison);
+for (const input of [els.compareReference, els.compareVisibleOnly]) {
+  input?.addEventListener('change', refreshComparison);
+}
+for (const input of [els.compareLines, els.compareCircles]) {
+  input?.addEventListener('change', drawComparison);
+}
+
+for (const b of els.measureModes ?? []) {
+  b.addEventListener('click', () => startMeasure(b.dataset.measure));
+}
+els.clearMeasurements?.addEventListener('click', clearMeasurements);
+
+els.measureList?.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-action]');
+  const id = Number(button?.closest('[data-measure-id]')?.dataset.measureId);
+  if (!button || !id) return;
+  if (button.dataset.action === 'remove') removeMeasurement(id);
+  else zoomToMeasurement(id);
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key !== 'Escape') return;
+  if (measureDraft) cancelMeasure();
+  if (areaDraft) cancelAreaSelect();
+});
+
+els.addBookmark?.addEventListener('click', addBookmark);
+els.bookmarkName?.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && !els.addBookmark?.disabled) addBookmark();
+});
+els.prevBookmark?.addEventListener('click', () => stepBookmark(-1));
+els.nextBookmark?.addEventListener('click', () => stepBookmark(1));
+els.presentBookmarks?.addEventListener('click', () => setPresenting(!presenting));
+els.exportBookmarks?.addEventListener('click', exportBookmarks);
+els.importBookmarks?.addEventListener('click', () => els.bookmarkInput?.click());
+els.bookmarkInput?.addEventListener('change', async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = '';
+  if (file) await importBookmarks(file);
+});
+els.bookmarkList?.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-action]');
+  const index = Number(button?.closest('[data-bookmark-index]')?.dataset.bookmarkIndex);
+  if (!button || !Number.isInteger(index)) return;
+  if (button.dataset.action === 'remove') removeBookmark(index);
+  else applyBookmark(index);
+});
+// While presenting, arrow keys / Page Up-Down step through the views (not while typing).
+document.addEventListener('keydown', (e) => {
+  if (!presenting || e.target.closest?.('input, select, textarea')) return;
+  const delta = { ArrowRight: 1, PageDown: 1, ArrowLeft: -1, PageUp: -1 }[e.key];
+  if (delta) {
+    e.preventDefault();
+    stepBookmark(delta);
+  } else if (e.key === 'Escape') {
+    setPresenting(false);
+  }
+});
+
+els.openStyle?.addEventListener('click', openStylePanel);
+els.closeStyle?.addEventListener('click', () => {
+  if (els.stylePanel) els.stylePanel.hidden = true;
+});
+els.addStyleRule?.addEventListener('click', addStyleRule);
+els.resetStyles?.addEventListener('click', resetStyles);
+// Inputs of the panel, rule rows included, all re-apply on change.
+els.stylePanel?.addEventListener('change', (e) => {
+  if (e.target.matches('input, select')) onStyleFormChange();
+});
+els.styleRules?.addEventListener('click', (e) => {
+  const row = e.target.closest('[data-action="remove-rule"]')?.closest('[data-rule-index]');
+  if (row) removeStyleRule(Number(row.dataset.ruleIndex));
+});
+
+els.timeMode?.addEventListener('change', updateTimeline);
+els.timeWindowMinutes?.addEventListener('change', () => {
+  if (els.timeMode?.value === 'window') updateTimeline();
+});
+els.timeTrail?.addEventListener('change', updateTrails);
+els.trailMinutes?.addEventListener('change', updateTrails);
+
+els.altitudeMode?.addEventListener('change', onAltitudeFormChange);
+els.verticalExaggeration?.addEventListener('change', onAltitudeFormChange);
+els.dropLines?.addEventListener('change', onAltitudeFormChange);
+
+for (const b of els.areaShapes ?? []) {
+  b.addEventListener('click', () => startAreaSelect(b.dataset.areaShape));
+}
+els.areaCheck?.addEventListener('click', () => applyAreaSelection('check'));
+els.areaUncheck?.addEventListener('click', () => applyAreaSelection('uncheck'));
+els.areaIsolate?.addEventListener('click', () => applyAreaSelection('isolate'));
+els.closeAreaSelection?.addEventListener('click', closeAreaSelection);
+
+els.areaSelectionBody?.addEventListener('click', (e) => {
+  const row = e.target.closest('tr[data-node-id]');
+  if (row) selectNode(row.dataset.nodeId, { fly: true, reveal: true });
+});
+
+els.compareBody?.addEventListener('click', (e) => {
+  const th = e.target.closest('th[data-sort]');
+  if (th && comparison) {
+    const key = th.dataset.sort;
+    // Same column flips the order; a new one starts largest distance / A-Z first.
+    const dir = comparison.sort.key === key ? -comparison.sort.dir : key === 'distance' ? -1 : 1;
+    comparison.sort = { key, dir };
+    renderComparison();
+    return;
+  }
+  const row = e.target.closest('tr[data-node-id]');
+  if (row) selectNode(row.dataset.nodeId, { fly: true, reveal: true });
+});
+
+els.kmlInput?.addEventListener('change', async (e) => {
+  const files = Array.from(e.target.files || []);
+  if (!files.length) return;
+  hideSessionBar();
+  await loadKmlFiles(files);
+  // Allow picking the same file again as a new layer.
+  e.target.value = '';
+});
+
+els.folderInput?.addEventListener('change', async (e) => {
+  const all = Array.from(e.target.files || []);
+  e.target.value = '';
+  if (!all.length) return;
+  const files = pickFolderEntries(all);
+  if (!files.length) {
+    setStatus('No .kml or .kmz files at the top level of that folder.');
+    return;
+  }
+  hideSessionBar();
+  await loadKmlFiles(files, all);
+});
+
+els.closeDetails?.addEventListener('click', () => {
+  if (viewer) viewer.selectedEntity = undefined;
+  selectNode(null);
+});
+
+els.sessionSelect?.addEventListener('change', () => {
+  if (els.restoreSession) {
+    els.restoreSession.textContent = els.sessionSelect.selectedIndex > 0 ? 'Restore session' : 'Restore last session';
+  }
+});
+
+els.restoreSession?.addEventListener('click', async () => {
+  const id = Number(els.sessionSelect?.value);
+  try {
+    await restoreSession(id);
+  } catch (e) {
+    console.error(e);
+    setStatus(`Restore failed: ${e?.message ?? String(e)}`);
+  }
+});
+
+els.forgetSession?.addEventListener('click', async () => {
+  const id = Number(els.sessionSelect?.value);
   try {
-    await loadKml(file);
-  } catch (err) {
-    console.error(err);
-    setStatus(`Load failed: ${err?.message ?? String(err)}`);
-    if (els.tree) els.tree.innerHTML = '<div class="placeholder">Failed to load KML.</div>';
+    await deleteSession(id);
+  } catch (e) {
+    console.warn(e);
   }
+  hideSessionBar();
+  await initSessions();
+});
+
+window.addEventListener('hashchange', () => {
+  // Only edits and followed links; the app's own updates use replaceState.
+  const link = parseDeepLink(location.hash);
+  if (!link) return;
+  if (state.layers.length && !activeLoad) applyDeepLink(link);
+  else pendingDeepLink = link;
+});
+
+window.addEventListener('pagehide', () => {
+  // Best effort: flush a pending save before the page goes away.
+  if (!sessionSaveTimer) return;
+  clearTimeout(sessionSaveTimer);
+  saveSession();
+});
+
+els.cancelLoad?.addEventListener('click', () => {
+  cancelActiveLoad();
 });
 
 els.zoomTo?.addEventListener('click', async () => {
-  if (!viewer || !kmlDataSource) return;
-  try { await viewer.zoomTo(kmlDataSource); } catch { /* ignore */ }
+  await zoomToAllLayers();
 });
 
 els.expandAll?.addEventListener('click', () => {
-  if (!state.rootNodeId) return;
-  setExpandedRecursive(state.rootNodeId, true);
+  if (!state.layers.length) return;
+  for (const layer of state.layers) setExpandedRecursive(layer.rootNodeId, true);
   renderTree();
 });
 
 els.collapseAll?.addEventListener('click', () => {
-  if (!state.rootNodeId) return;
-  setExpandedRecursive(state.rootNodeId, false);
-  const root = state.nodesById.get(state.rootNodeId);
-  if (root) root.expanded = true;
+  if (!state.layers.length) return;
+  for (const layer of state.layers) {
+    setExpandedRecursive(layer.rootNodeId, false);
+    const root = state.nodesById.get(layer.rootNodeId);
+    if (root) root.expanded = true;
+  }
   renderTree();
 });
 
 els.checkAll?.addEventListener('click', () => {
-  if (!state.rootNodeId) return;
-  setCheckedRecursive(state.rootNodeId, true);
-  renderTree();
-  state.userHasInteracted = true;
+  if (!state.layers.length) return;
+  for (const layer of state.layers) setCheckedRecursive(layer.rootNodeId, true);
+  refreshRenderedRows();
   applyVisibilityFromTree();
 });
 
 els.uncheckAll?.addEventListener('click', () => {
-  if (!state.rootNodeId) return;
-  setCheckedRecursive(state.rootNodeId, false);
-  const root = state.nodesById.get(state.rootNodeId);
-  if (root) root.checked = true, root.indeterminate = true;
-  renderTree();
-  state.userHasInteracted = true;
+  if (!state.layers.length) return;
+  for (const layer of state.layers) {
+    // Keep each file's own toggle on so re-checking a folder shows it right away.
+    const root = state.nodesById.get(layer.rootNodeId);
+    for (const childId of root?.children ?? []) setCheckedRecursive(childId, false);
+  }
+  refreshRenderedRows();
   applyVisibilityFromTree();
 });
 
+els.exportKml?.addEventListener('click', () => exportVisible('kml'));
+els.exportKmz?.addEventListener('click', () => exportVisible('kmz'));
+els.exportGeoJson?.addEventListener('click', () => exportPlacemarks('geojson'));
+els.exportCsv?.addEventListener('click', () => exportPlacemarks('csv'));
+
+let searchTimer = 0;
 els.search?.addEventListener('input', () => {
-  state.filterText = els.search.value || '';
-  renderTree();
+  // Debounced so fast typing only filters once the query settles.
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    state.filterText = els.search.value || '';
+    computeFilterMatches();
+    if (els.tree) els.tree.scrollTop = 0;
+    renderTree();
+    if (state.searchOnGlobe) applyVisibilityFromTree();
+  }, 150);
+});
+
+els.searchGlobe?.addEventListener('change', () => {
+  state.searchOnGlobe = els.searchGlobe.checked;
+  applyVisibilityFromTree();
 });
 
+els.basemapSelect?.addEventListener('change', async () => {
+  if (await applyBasemap(els.basemapSelect.value)) saveBasemapSettings();
+});
+
+els.basemapAlpha?.addEventListener('input', () => setBasemapAlpha(Number(els.basemapAlpha.value)));
+els.basemapAlpha?.addEventListener('change', saveBasemapSettings);
+
+els.addBasemap?.addEventListener('click', () => {
+  els.basemapForm.hidden = !els.basemapForm.hidden;
+  syncBasemapForm();
+});
+
+els.basemapKind?.addEventListener('change', syncBasemapForm);
+els.saveBasemap?.addEventListener('click', addBasemapFromForm);
+els.cancelBasemap?.addEventListener('click', () => { els.basemapForm.hidden = true; });
+els.removeBasemap?.addEventListener('click', removeCurrentBasemap);
+
+els.tileCacheLimit?.addEventListener('change', async () => {
+  refreshTileCacheInfo(await swRequest({ type: 'set-tile-limit', limit: Number(els.tileCacheLimit.value) }));
+});
+
+els.clearTileCache?.addEventListener('click', async () => {
+  refreshTileCacheInfo(await swRequest({ type: 'clear-tile-cache' }));
+});
+
+onVisibilityChange(scheduleSessionSave);
+onVisibilityChange(scheduleDeepLinkUpdate);
+onVisibilityChange(scheduleComparison);
+onVisibilityChange(() => { if (areaSelection) renderAreaSelection(); });
+onVisibilityChange(() => { if (els.timeTrail?.checked) updateTrails(); });
+onVisibilityChange(() => { if (dropLineSource) updateDropLines(); });
+onVisibilityChange(scheduleHeatmap);
+onVisibilityChange(() => { if (versionDiff || diffSource) drawDiff(); });
+
 els.hideLabels?.addEventListener('change', () => {
   applyVisibilityFromTree();
 });
 
-// Register service worker
+els.pointDisplay?.addEventListener('change', () => setPointDisplay(els.pointDisplay.value));
+
+if (els.buildStamp) els.buildStamp.textContent = `dev-${APP_VERSION}`;
 if ('serviceWorker' in navigator) {
-  window.addEventListener('load', async () => {
-    try {
-      const swUrl = new URL('./service-worker.js', window.location.href);
-      swUrl.searchParams.set('v', '6');
-      const reg = await navigator.serviceWorker.register(swUrl.toString());
-      // Proactively check for updates.
-      await reg.update();
-
-      // If an update takes over, reload to pick up new HTML/JS.
-      navigator.serviceWorker.addEventListener('controllerchange', () => {
-        window.location.reload();
-      });
-    } catch {
-      // ignore
-    }
-  });
+  window.addEventListener('load', registerServiceWorker);
 }
 
+setupTreeEvents();
 initCesium();
+initBasemaps();
+initBookmarks();
+initSessions();
+initDeepLink();
@@ -0,0 +1,1003 @@
+// kml-worker.js
+// Builds the Places tree and placemark index off the main thread.
+//
+// The main thread posts { type: 'parse', file, layerId, mainPath, assets, siblings }
+// where `file` is the KML Blob (a KMZ's main document is unzipped first),
+// `assets` maps archive paths to blob URLs and `siblings` maps paths to Blobs of
+// other .kml documents that NetworkLinks may point at. Files are streamed
+// through a small XML tokenizer; nothing is held as a DOM. While streaming we
+// also write the KML that Cesium will load:
+// - every tree feature gets its node id as its KML id (exact entity binding),
+// - KMZ-relative hrefs are rewritten to the archive's blob URLs,
+// - NetworkLink hrefs to sibling documents become slots the page fills with
+//   blob URLs of those documents' own rewritten KML.
+//
+// Messages back: { type: 'progress', bytes, totalBytes, placemarks },
+// { type: 'done', result } or { type: 'error', message, line, column }.
+// The result's `issues` ([{ nodeId, kind, message }]) are the problems found on
+// the way that do not stop the load: bad coordinates, duplicate placemarks,
+// unresolved styleUrls, empty folders and linked documents that failed to parse.
+//
+// It also posts { type: 'export', documents: [{ path, blob, keep, open, append }] }
+// to copy documents through with only the kept features (plus optional KML
+// appended inside the root container), and
+// { type: 'geometry', documents: [{ path, blob, want }] } to read the full
+// geometry of some placemarks (see Export below). Results are
+// { documents: [{ path, blob }] } and { documents: [{ path, geometries }] }.
+// Cancelling is done by the main thread terminating the worker.
+
+// Every KML Feature type; Document and Folder are the containers.
+const FEATURE_TAGS = new Set([
+  'Document', 'Folder', 'Placemark', 'NetworkLink',
+  'GroundOverlay', 'ScreenOverlay', 'PhotoOverlay', 'gx:Tour',
+]);
+const CONTAINER_TAGS = new Set(['Document', 'Folder']);
+const GEOMETRY_TAGS = new Set([
+  'Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry', 'Model', 'gx:Track', 'gx:MultiTrack',
+]);
+const MAX_LINK_DEPTH = 8;
+const PROGRESS_INTERVAL_MS = 100;
+const OUT_FLUSH_CHARS = 1 << 20;
+
+class KmlParseError extends Error {
+  constructor(message, line, column) {
+    super(`KML parse error at line ${line}, column ${column}: ${message}`);
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// ---------- Text helpers ----------
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  if (!s.includes('&')) return s;
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return NAMED_ENTITIES[e] ?? m;
+  });
+}
+
+// Character data reaches text() in pieces that can split an entity ("&am" + "p;"),
+// so a frame keeps the raw run and decodes it once complete: at a CDATA section
+// (whose content is literal) or at the end tag.
+function appendRawText(frame, s) {
+  frame.rawText = frame.rawText ? frame.rawText + s : s;
+}
+
+function flushText(frame) {
+  if (!frame.rawText) return;
+  frame.text += decodeEntities(frame.rawText);
+  frame.rawText = '';
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+}
+
+function roundCoord(n, digits) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return null;
+  const p = 10 ** digits;
+  return Math.round(v * p) / p;
+}
+
+function placemarkKey({ name, lon, lat }) {
+  const lo = roundCoord(lon, 5);
+  const la = roundCoord(lat, 5);
+  const nm = String(name ?? '').trim();
+  return (lo === null || la === null) ? nm : `${nm}|${lo},${la}`;
+}
+
+function firstCoordFromText(txt) {
+  // coordinates can be "lon,lat,alt lon,lat,alt ..." or newline-separated
+  const m = /\S+/.exec(txt);
+  if (!m) return null;
+  const firstToken = m[0];
+  const [lonS, latS] = firstToken.split(',');
+  const lon = Number(lonS);
+  const lat = Number(latS);
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) return null;
+  return { lon, lat };
+}
+
+function coordinateProblem(txt) {
+  // What is wrong with the first bad "lon,lat[,alt]" tuple, or null.
+  const tuples = txt.trim().split(/\s+/).filter(Boolean);
+  if (!tuples.length) return 'Empty <coordinates>.';
+  for (const tuple of tuples) {
+    const parts = tuple.split(',');
+    if (parts.length < 2 || parts.length > 3 || parts.some((p) => p === '' || !Number.isFinite(Number(p)))) {
+      return `"${tuple.length > 40 ? `${tuple.slice(0, 40)}…` : tuple}" is not lon,lat[,alt].`;
+    }
+    const [lon, lat] = parts.map(Number);
+    if (Math.abs(lon) > 180) return `Longitude ${lon} is outside -180 to 180.`;
+    if (Math.abs(lat) > 90) return `Latitude ${lat} is outside -90 to 90.`;
+  }
+  return null;
+}
+
+// ---------- KMZ href resolution ----------
+
+function isAbsoluteUrl(href) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//');
+}
+
+function resolveArchivePath(baseDir, href) {
+  let rel = href.split('#')[0].split('?')[0];
+  try { rel = decodeURIComponent(rel); } catch { /* keep raw */ }
+  const parts = (rel.startsWith('/') ? rel.slice(1) : baseDir + rel).split('/');
+  const out = [];
+  for (const part of parts) {
+    if (!part || part === '.') continue;
+    if (part === '..') out.pop();
+    else out.push(part);
+  }
+  return out.join('/');
+}
+
+function resolveArchiveHref(href, baseDir, assets) {
+  const h = String(href ?? '').trim();
+  if (!h || isAbsoluteUrl(h)) return null;
+  return lookupPath(assets, resolveArchivePath(baseDir, h));
+}
+
+// ---------- Streaming XML tokenizer ----------
+
+// Splits incoming text into markup and character data, keeping an unconsumed
+// tail between chunks. Tracks line/column for error messages.
+class XmlTokenizer {
+  constructor(handler) {
+    this.handler = handler;
+    this.buf = '';
+    this.pos = 0;
+    this.line = 1;
+    this.column = 1;
+  }
+
+  push(text) {
+    this.buf = this.buf.slice(this.pos) + text;
+    this.pos = 0;
+    this.drain(false);
+  }
+
+  end() {
+    this.drain(true);
+  }
+
+  advance(to) {
+    // Update line/column for the consumed range buf[pos, to).
+    let lastNl = -1;
+    let i = this.buf.indexOf('\n', this.pos);
+    while (i >= 0 && i < to) {
+      this.line += 1;
+      lastNl = i;
+      i = this.buf.indexOf('\n', i + 1);
+    }
+    this.column = lastNl >= 0 ? to - lastNl : this.column + (to - this.pos);
+    this.pos = to;
+  }
+
+  fail(message) {
+    throw new KmlParseError(message, this.line, this.column);
+  }
+
+  findTagEnd(from) {
+    const b = this.buf;
+    const gt = b.indexOf('>', from);
+    if (gt < 0) return -1;
+    const tagText = b.slice(from, gt);
+    if (!tagText.includes('"') && !tagText.includes("'")) return gt;
+
+    // Quoted attribute values may contain '>'.
+    let quote = 0;
+    for (let i = from; i < b.length; i++) {
+      const c = b.charCodeAt(i);
+      if (quote) {
+        if (c === quote) quote = 0;
+      } else if (c === 34 || c === 39) {
+        quote = c;
+      } else if (c === 62) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  drain(final) {
+    const h = this.handler;
+    const b = this.buf;
+    while (this.pos < b.length) {
+      const p = this.pos;
+      const lt = b.indexOf('<', p);
+      if (lt < 0) {
+        // Character data never contains '<', so it is safe to hand over now.
+        h.text(b.slice(p));
+        this.advance(b.length);
+        return;
+      }
+      if (lt > p) {
+        h.text(b.slice(p, lt));
+        this.advance(lt);
+        continue;
+      }
+
+      if (!final && b.length - p < 9) return; // too short to tell '<!--' from '<![CDATA[' yet
+
+      let end;
+      if (b.startsWith('<!--', p)) {
+        end = b.indexOf('-->', p + 4);
+        if (end < 0) break;
+        end += 3;
+        h.raw(b.slice(p, end));
+      } else if (b.startsWith('<![CDATA[', p)) {
+        end = b.indexOf(']]>', p + 9);
+        if (end < 0) break;
+        end += 3;
+        h.cdata(b.slice(p + 9, end - 3), b.slice(p, end));
+      } else if (b.startsWith('<?', p)) {
+        end = b.indexOf('?>', p + 2);
+        if (end < 0) break;
+        end += 2;
+        h.raw(b.slice(p, end));
+      } else if (b.startsWith('<!', p)) {
+        // DOCTYPE, possibly with an internal subset in brackets.
+        const bracket = b.indexOf('[', p);
+        const gt = b.indexOf('>', p);
+        if (gt < 0) break;
+        if (bracket >= 0 && bracket < gt) {
+          const close = b.indexOf(']>', bracket);
+          if (close < 0) break;
+          end = close + 2;
+        } else {
+          end = gt + 1;
+        }
+        h.raw(b.slice(p, end));
+      } else {
+        const gt = this.findTagEnd(p + 1);
+        if (gt < 0) break;
+        end = gt + 1;
+        const rawTag = b.slice(p, end);
+        if (b[p + 1] === '/') {
+          h.endTag(rawTag.slice(2, -1).trim(), rawTag);
+        } else {
+          const selfClosing = b[gt - 1] === '/';
+          const m = /^<([^\s/>]+)/.exec(rawTag);
+          if (!m) this.fail('Malformed tag.');
+          h.startTag(m[1], rawTag, selfClosing);
+          if (selfClosing) h.endTag(m[1], '');
+        }
+      }
+      this.advance(end);
+    }
+
+    if (final && this.pos < b.length) this.fail('Unexpected end of file inside markup.');
+  }
+}
+
+// ---------- Tree building ----------
+
+function parseAttributes(rawTag) {
+  const attrs = {};
+  const re = /([^\s=/<>]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(rawTag))) attrs[m[1]] = decodeEntities(m[3] ?? m[4] ?? '');
+  return attrs;
+}
+
+function lookupPath(map, path) {
+  if (map.has(path)) return map.get(path);
+  // Some tools write archive paths with different case; match case-insensitively as a fallback.
+  const lower = path.toLowerCase();
+  for (const [k, v] of map) {
+    if (k.toLowerCase() === lower) return v;
+  }
+  return null;
+}
+
+// One builder per document. `ctx` is shared by the main document and every
+// NetworkLink document expanded into it, so node ids stay unique per layer.
+function createKmlTreeBuilder(ctx, { docPath, parentNode }) {
+  const baseDir = docPath.includes('/') ? docPath.slice(0, docPath.lastIndexOf('/') + 1) : '';
+  const { layerId, assets, siblings } = ctx;
+  const rewriteRefs = assets.size > 0;
+
+  let rootNode = null;
+  const links = []; // NetworkLinks whose href is a sibling document: { node, path }
+
+  // ListStyle listItemType is resolved when the document ends: shared styles may
+  // be declared after the features that use them.
+  const sharedListItemTypes = new Map(); // Style id -> listItemType
+  const styleMapNormals = new Map(); // StyleMap id -> styleUrl of its "normal" pair
+  const styleRefs = []; // { node, inline listItemType, styleUrl }
+  const styleIds = new Set(); // every Style and StyleMap id, to check styleUrls against
+  const styleUses = []; // { node, url } for each feature's styleUrl
+
+  const stack = []; // { tag, node, text, raw, coord, linkHref, iconHref }
+  const outParts = []; // strings, plus { slot, href } where a linked document's URL goes
+  let outChunk = '';
+
+  function emit(s) {
+    if (!s) return;
+    // Captured elements are rewritten as a whole when they close.
+    const capturing = stack.find((f) => f.raw !== null);
+    if (capturing) {
+      capturing.raw += s;
+      return;
+    }
+    outChunk += s;
+    if (outChunk.length >= OUT_FLUSH_CHARS) {
+      outParts.push(outChunk);
+      outChunk = '';
+    }
+  }
+
+  function emitSlot(slot) {
+    if (outChunk) outParts.push(outChunk);
+    outChunk = '';
+    outParts.push(slot);
+  }
+
+  function nearestFeatureFrame() {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].node) return stack[i];
+    }
+    return null;
+  }
+
+  function wantsCoordinates(tag) {
+    if (tag !== 'coordinates') return false;
+    const feature = nearestFeatureFrame();
+    if (!feature || feature.coord) return false;
+    const parent = stack[stack.length - 1];
+    if (feature.node.tag === 'PhotoOverlay') return parent.tag === 'Point';
+    if (feature.node.tag !== 'Placemark') return false;
+    if (parent.tag === 'Point' || parent.tag === 'LineString') return true;
+    for (let i = stack.length - 1; stack[i] !== feature; i--) {
+      if (stack[i].tag === 'MultiGeometry') return true;
+    }
+    return false;
+  }
+
+  function createNode(tag, parent) {
+    const id = `${layerId}:n${ctx.nextN++}`;
+    const node = {
+      id,
+      parentId: parent ? parent.id : null,
+      layerId,
+      name: '',
+      tag,
+      children: [],
+      checked: true,
+      indeterminate: false,
+      expanded: tag !== 'Placemark',
+    };
+    ctx.nodes.push(node);
+    if (parent) parent.children.push(id);
+    if (tag === 'Placemark') ctx.placemarkCount += 1;
+    return node;
+  }
+
+  function bindFeatureTag(rawTag, node) {
+    // Bind the element to its node: Cesium reuses the KML id as the entity id.
+    // The author's own id (if any) is kept on the node.
+    const idRe = /\sid\s*=\s*("([^"]*)"|'([^']*)')/;
+    const m = idRe.exec(rawTag);
+    if (m) node.kmlId = decodeEntities(m[2] ?? m[3] ?? '');
+    const stripped = m ? rawTag.replace(idRe, '') : rawTag;
+    return stripped.replace(`<${node.tag}`, `<${node.tag} id="${node.id}"`);
+  }
+
+  function linkTarget(href) {
+    const h = String(href ?? '').trim();
+    if (!h || isAbsoluteUrl(h) || !/\.kml$/i.test(h.split(/[?#]/)[0])) return null;
+    const path = resolveArchivePath(baseDir, h);
+    return ctx.ancestry.includes(path) || lookupPath(siblings, path) ? path : null;
+  }
+
+  const handler = {
+    startTag(tag, rawTag, selfClosing) {
+      const parent = stack[stack.length - 1];
+      const grandparent = stack[stack.length - 2];
+      const frame = { tag, node: null, text: null, raw: null, coord: null, linkHref: false, iconHref: false };
+      if (tag === 'Style' || tag === 'StyleMap') frame.styleId = parseAttributes(rawTag).id ?? null;
+      if (frame.styleId) styleIds.add(frame.styleId);
+      if (tag === 'Data' || tag === 'SimpleData') frame.dataName = parseAttributes(rawTag).name ?? null;
+
+      if (FEATURE_TAGS.has(tag)) {
+        if (!rootNode && CONTAINER_TAGS.has(tag)) {
+          rootNode = createNode(tag, parentNode);
+          if (!parentNode) rootNode.isLayerRoot = true;
+          frame.node = rootNode;
+        } else if (parent?.node && CONTAINER_TAGS.has(parent.node.tag) && rootNode) {
+          // Only direct children of a tree container become tree nodes.
+          frame.node = createNode(tag, parent.node);
+        }
+      }
+
+      if (parent?.node && (tag === 'name' || tag === 'visibility' || tag === 'open')) frame.text = '';
+      if (parent?.node && tag === 'styleUrl') frame.text = '';
+      if (parent?.tag === 'ListStyle' && tag === 'listItemType') frame.text = '';
+      if (parent?.tag === 'Pair' && (tag === 'key' || tag === 'styleUrl')) frame.text = '';
+      // ExtendedData values and geometry types feed the structured search.
+      if ((tag === 'value' && parent?.tag === 'Data') || tag === 'SimpleData') frame.text = '';
+      if (GEOMETRY_TAGS.has(tag)) {
+        const feature = nearestFeatureFrame();
+        if (feature?.node.tag === 'Placemark') {
+          feature.node.geometry ??= [];
+          if (!feature.node.geometry.includes(tag)) feature.node.geometry.push(tag);
+        }
+      }
+      // Every <coordinates> of a feature is checked; the first one also places it.
+      if (tag === 'coordinates' && nearestFeatureFrame()) {
+        frame.text = '';
+        frame.wantCoord = wantsCoordinates(tag);
+      }
+
+      // ScreenOverlay placement is read here; the viewer draws screen overlays itself.
+      if (parent?.node?.tag === 'ScreenOverlay' && (tag === 'overlayXY' || tag === 'screenXY' || tag === 'size')) {
+        parent.node.overlay[tag] = parseAttributes(rawTag);
+      }
+
+      if (tag === 'href' && !selfClosing && grandparent?.node) {
+        const owner = grandparent.node.tag;
+        if (owner === 'NetworkLink' && (parent.tag === 'Link' || parent.tag === 'Url')) frame.linkHref = true;
+        if ((owner === 'ScreenOverlay' || owner === 'PhotoOverlay') && parent.tag === 'Icon') frame.iconHref = true;
+      }
+
+      let out = rawTag;
+      if (frame.node) out = bindFeatureTag(rawTag, frame.node);
+      if (frame.node?.tag === 'ScreenOverlay' || frame.node?.tag === 'PhotoOverlay') frame.node.overlay = {};
+
+      emit(out);
+      const rewritable = tag === 'href' || tag === 'targetHref' || tag === 'description';
+      if (!selfClosing && (frame.linkHref || (rewriteRefs && rewritable))) {
+        frame.text = frame.text ?? '';
+        frame.raw = '';
+      }
+      if (frame.iconHref) frame.text = frame.text ?? '';
+      stack.push(frame);
+    },
+
+    endTag(tag, rawTag) {
+      const frame = stack.pop();
+      if (!frame || frame.tag !== tag) {
+        throw new Error(frame ? `Mismatched closing tag </${tag}>; expected </${frame.tag}>.` : `Unexpected closing tag </${tag}>.`);
+      }
+      if (frame.text !== null) flushText(frame);
+
+      const parent = stack[stack.length - 1];
+      if (frame.tag === 'name' && frame.text !== null && parent?.node && !parent.node.name) {
+        parent.node.name = frame.text.trim();
+      }
+      if (frame.text !== null && parent?.node) {
+        // Author-set initial tree state; without <open> containers start expanded.
+        if (frame.tag === 'visibility') parent.node.checked = frame.text.trim() !== '0';
+        if (frame.tag === 'open') parent.node.expanded = frame.text.trim() === '1';
+        if (frame.tag === 'styleUrl') {
+          const url = frame.text.trim();
+          if (parent.node.tag !== 'Placemark') styleRefRecord(parent.node).url = url;
+          styleUses.push({ node: parent.node, url });
+        }
+      }
+      if (frame.tag === 'listItemType' && frame.text !== null) {
+        const style = stack[stack.length - 2];
+        const owner = stack[stack.length - 3];
+        const value = frame.text.trim();
+        // A Style with an id directly in a Document is shared; any other is the feature's own.
+        const shared = style?.tag === 'Style' && style.styleId && (!owner?.node || owner.node.tag === 'Document');
+        if (shared) sharedListItemTypes.set(style.styleId, value);
+        else if (owner?.node && style?.tag === 'Style') styleRefRecord(owner.node).inline = value;
+      }
+      if (parent?.tag === 'Pair' && frame.text !== null) parent[frame.tag] = frame.text.trim();
+      if (frame.tag === 'Pair' && parent?.tag === 'StyleMap' && parent.styleId && frame.key === 'normal' && frame.styleUrl) {
+        styleMapNormals.set(parent.styleId, frame.styleUrl);
+      }
+      if (frame.text !== null && (frame.tag === 'value' || frame.tag === 'SimpleData')) {
+        const name = frame.tag === 'value' ? parent.dataName : frame.dataName;
+        const feature = nearestFeatureFrame();
+        if (name && feature) {
+          feature.node.data ??= {};
+          feature.node.data[name] = frame.text.trim();
+        }
+      }
+      if (frame.tag === 'coordinates' && frame.text !== null) {
+        const feature = nearestFeatureFrame();
+        const problem = coordinateProblem(frame.text);
+        if (problem && !feature.coordProblem) {
+          feature.coordProblem = true;
+          ctx.issues.push({ nodeId: feature.node.id, kind: 'coordinates', message: problem });
+        }
+        if (frame.wantCoord && !feature.coord) feature.coord = firstCoordFromText(frame.text);
+      }
+      if (frame.iconHref) {
+        const owner = stack[stack.length - 2].node;
+        owner.overlay.href = resolveArchiveHref(frame.text, baseDir, assets) || frame.text.trim();
+      }
+      if (frame.node) {
+        const node = frame.node;
+        if (!node.name) node.name = node.tag;
+        if (node.tag === 'Placemark') {
+          node.key = placemarkKey({ name: node.name, lon: frame.coord?.lon, lat: frame.coord?.lat });
+          // Only keys with a position are compared: many shapes share a name.
+          const first = frame.coord ? ctx.placemarkKeys.get(node.key) : null;
+          if (first) {
+            ctx.issues.push({ nodeId: node.id, kind: 'duplicate', message: 'Same name and position as an earlier placemark.', relatedId: first });
+          } else if (frame.coord) {
+            ctx.placemarkKeys.set(node.key, node.id);
+          }
+        }
+        if (node.tag === 'PhotoOverlay' && frame.coord) node.overlay.coord = frame.coord;
+      }
+
+      if (frame.raw !== null) {
+        const inner = frame.raw;
+        frame.raw = null;
+        const path = frame.linkHref ? linkTarget(frame.text) : null;
+        const owner = frame.linkHref ? stack[stack.length - 2].node : null;
+        if (path && !ctx.ancestry.includes(path) && ctx.ancestry.length < MAX_LINK_DEPTH) {
+          // The linked document is parsed after this one and gets its own blob URL.
+          owner.linkPath = path;
+          links.push({ node: owner, path });
+          emitSlot({ slot: owner.id, href: resolveArchiveHref(frame.text, baseDir, assets) || frame.text.trim() });
+        } else {
+          if (path) owner.linkError = 'Link loops back to an enclosing document.';
+          emit(rewriteCaptured(frame.tag, inner, frame.text));
+        }
+      }
+      emit(rawTag);
+    },
+
+    text(s) {
+      const top = stack[stack.length - 1];
+      if (top && top.text !== null) appendRawText(top, s);
+      emit(s);
+    },
+
+    cdata(s, rawCdata) {
+      const top = stack[stack.length - 1];
+      if (top && top.text !== null) {
+        flushText(top);
+        top.text += s;
+      }
+      emit(rawCdata);
+    },
+
+    raw(s) {
+      emit(s);
+    },
+  };
+
+  function rewriteCaptured(tag, inner, text) {
+    if (tag === 'href' || tag === 'targetHref') {
+      const url = resolveArchiveHref(text, baseDir, assets);
+      return url ? escapeXml(url) : inner;
+    }
+    // Balloon HTML often embeds archive images: <img src="files/photo.jpg">,
+    // either inside CDATA or entity-escaped.
+    return inner.replace(/(\ssrc\s*=\s*)("|'|&quot;)(.*?)\2/gi, (m, pre, q, src) => {
+      const url = resolveArchiveHref(decodeEntities(src), baseDir, assets);
+      return url ? `${pre}${q}${url}${q}` : m;
+    });
+  }
+
+  function styleRefRecord(node) {
+    let rec = styleRefs[styleRefs.length - 1];
+    if (rec?.node !== node) {
+      rec = { node, inline: null, url: null };
+      styleRefs.push(rec);
+    }
+    return rec;
+  }
+
+  function resolveListItemType({ inline, url }) {
+    if (inline) return inline;
+    // Only styles in this document ("#id") are followed; a StyleMap uses its normal style.
+    let id = url?.startsWith('#') ? url.slice(1) : null;
+    if (id && !sharedListItemTypes.has(id) && styleMapNormals.get(id)?.startsWith('#')) {
+      id = styleMapNormals.get(id).slice(1);
+    }
+    return id ? sharedListItemTypes.get(id) ?? null : null;
+  }
+
+  function finish() {
+    if (stack.length) throw new Error(`Unexpected end of file: <${stack[stack.length - 1].tag}> is not closed.`);
+    if (!rootNode) throw new Error('KML contains no Document or Folder root.');
+    if (outChunk) outParts.push(outChunk);
+
+    for (const rec of styleRefs) {
+      const type = resolveListItemType(rec);
+      if (type && type !== 'check') rec.node.listItemType = type;
+    }
+    // Only "#id" references are checked; styles in other files are not loaded here.
+    for (const { node, url } of styleUses) {
+      if (url.startsWith('#') && !styleIds.has(url.slice(1))) {
+        ctx.issues.push({ nodeId: node.id, kind: 'style', message: `No Style or StyleMap with id "${url.slice(1)}" in this document.` });
+      }
+    }
+
+    // Hand the text over as Blobs so posting it back to the page does not copy it.
+    const parts = [];
+    let pending = [];
+    for (const p of outParts) {
+      if (typeof p === 'string') {
+        pending.push(p);
+      } else {
+        parts.push(new Blob(pending), p);
+        pending = [];
+      }
+    }
+    parts.push(new Blob(pending));
+
+    return { rootNode, parts, links };
+  }
+
+  return { handler, finish };
+}
+
+// ---------- Export ----------
+
+// Exports stream the original documents again. Features are matched by order:
+// the page sends flags per tree node of the document, in the order
+// createKmlTreeBuilder creates them, and createNodeCounter applies the same rule.
+
+function createNodeCounter() {
+  let next = 0;
+  let rootSeen = false;
+  // Index of the tree node `tag` starts (or -1); `parent` is the enclosing frame.
+  const indexFor = (tag, parent) => {
+    if (!FEATURE_TAGS.has(tag)) return -1;
+    if (!rootSeen && CONTAINER_TAGS.has(tag)) {
+      rootSeen = true;
+      return next++;
+    }
+    return rootSeen && parent?.index >= 0 && CONTAINER_TAGS.has(parent.tag) ? next++ : -1;
+  };
+  indexFor.count = () => next;
+  return indexFor;
+}
+
+// "Export visible" copies a document verbatim, minus the features the page
+// dropped. Kept features lose their <visibility> and <open>; containers get
+// their current <open> instead, so the file reloads with the tree as shown.
+function createKmlFilter({ keep, open, append = '' }) {
+  const stack = []; // { tag, index, drop }
+  const outParts = [];
+  let outChunk = '';
+  const nodeIndex = createNodeCounter();
+
+  function write(s) {
+    if (!s || stack[stack.length - 1]?.drop) return;
+    outChunk += s;
+    if (outChunk.length >= OUT_FLUSH_CHARS) {
+      outParts.push(outChunk);
+      outChunk = '';
+    }
+  }
+
+  function writePendingOpen(frame) {
+    // Always called while `frame` (a kept container) is the innermost element.
+    write(frame.pendingOpen);
+    frame.pendingOpen = null;
+  }
+
+  const handler = {
+    startTag(tag, rawTag, selfClosing) {
+      const parent = stack[stack.length - 1];
+      const index = nodeIndex(tag, parent);
+      const treeState = parent?.index >= 0 && (tag === 'visibility' || tag === 'open');
+      const frame = { tag, index, drop: Boolean(parent?.drop || treeState || (index >= 0 && !keep[index])) };
+      // The schema puts <open> after <name> (and <visibility>, dropped here), so
+      // it waits for the first other child or the end of the container.
+      if (parent?.pendingOpen && tag !== 'name' && !treeState) writePendingOpen(parent);
+      if (!frame.drop) {
+        write(rawTag);
+        if (index >= 0 && !selfClosing && tag !== 'Placemark') frame.pendingOpen = `<open>${open[index] ? 1 : 0}</open>`;
+      }
+      stack.push(frame);
+    },
+
+    endTag(tag, rawTag) {
+      const frame = stack[stack.length - 1];
+      if (!frame || frame.tag !== tag) {
+        throw new Error(frame ? `Mismatched closing tag </${tag}>; expected </${frame.tag}>.` : `Unexpected closing tag </${tag}>.`);
+      }
+      if (frame.pendingOpen) writePendingOpen(frame);
+      if (frame.index === 0) write(append);
+      write(rawTag);
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      if (tag === 'name' && parent?.pendingOpen) writePendingOpen(parent);
+    },
+
+    text(s) {
+      write(s);
+    },
+
+    cdata(s, rawCdata) {
+      write(rawCdata);
+    },
+
+    raw(s) {
+      write(s);
+    },
+  };
+
+  function finish() {
+    if (stack.length) throw new Error(`Unexpected end of file: <${stack[stack.length - 1].tag}> is not closed.`);
+    if (nodeIndex.count() !== keep.length) throw new Error('The document no longer matches the loaded tree.');
+    if (outChunk) outParts.push(outChunk);
+    return new Blob(outParts, { type: 'application/vnd.google-earth.kml+xml' });
+  }
+
+  return { handler, finish };
+}
+
+function parseCoordinates(text) {
+  const out = [];
+  for (const tuple of text.trim().split(/\s+/)) {
+    const nums = tuple.split(',').map(Number);
+    if (nums.length >= 2 && nums.every(Number.isFinite)) out.push(nums.slice(0, 3));
+  }
+  return out;
+}
+
+function toGeoJson(g) {
+  switch (g.tag) {
+    case 'Point':
+      return g.coords.length ? { type: 'Point', coordinates: g.coords[0] } : null;
+    case 'Model': {
+      const { longitude, latitude, altitude } = g.location;
+      if (!Number.isFinite(longitude) || !Number.isFinite(latitude)) return null;
+      return { type: 'Point', coordinates: Number.isFinite(altitude) ? [longitude, latitude, altitude] : [longitude, latitude] };
+    }
+    case 'LineString':
+    case 'LinearRing':
+    case 'gx:Track':
+      return g.coords.length ? { type: 'LineString', coordinates: g.coords } : null;
+    case 'Polygon': {
+      const outer = g.children.find((r) => !r.inner && r.coords.length);
+      if (!outer) return null;
+      const inner = g.children.filter((r) => r.inner && r.coords.length);
+      return { type: 'Polygon', coordinates: [outer, ...inner].map((r) => r.coords) };
+    }
+    default: {
+      // MultiGeometry and gx:MultiTrack: Multi* when the parts agree, else a collection.
+      const parts = g.children.map(toGeoJson).filter(Boolean);
+      if (!parts.length) return null;
+      const type = parts[0].type;
+      if (['Point', 'LineString', 'Polygon'].includes(type) && parts.every((p) => p.type === type)) {
+        return { type: `Multi${type}`, coordinates: parts.map((p) => p.coordinates) };
+      }
+      return { type: 'GeometryCollection', geometries: parts };
+    }
+  }
+}
+
+// Reads the full geometry of the wanted placemarks as GeoJSON geometries.
+function createGeometryReader({ want }) {
+  const stack = []; // { tag, index, geometry, text }
+  const geometries = {}; // node index -> GeoJSON geometry or null
+  const nodeIndex = createNodeCounter();
+  let placemark = null; // { index, geometry } while inside a wanted Placemark
+
+  const geometryFrame = () => {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (stack[i].geometry) return stack[i];
+    }
+    return null;
+  };
+
+  const handler = {
+    startTag(tag, rawTag) {
+      const parent = stack[stack.length - 1];
+      const frame = { tag, index: nodeIndex(tag, parent), geometry: null, text: null };
+      if (frame.index >= 0 && tag === 'Placemark' && want[frame.index]) placemark = { index: frame.index, geometry: null };
+
+      if (placemark && GEOMETRY_TAGS.has(tag)) {
+        const g = { tag, coords: [], children: [], location: {}, inner: parent?.tag === 'innerBoundaryIs' };
+        const owner = geometryFrame();
+        if (owner) owner.geometry.children.push(g);
+        else placemark.geometry ??= g;
+        frame.geometry = g;
+      }
+      if (placemark && (tag === 'coordinates' || tag === 'gx:coord' || parent?.tag === 'Location')) frame.text = '';
+      stack.push(frame);
+    },
+
+    endTag(tag) {
+      const frame = stack.pop();
+      if (!frame || frame.tag !== tag) {
+        throw new Error(frame ? `Mismatched closing tag </${tag}>; expected </${frame.tag}>.` : `Unexpected closing tag </${tag}>.`);
+      }
+      if (frame.text !== null) flushText(frame);
+      const g = frame.text !== null ? geometryFrame()?.geometry : null;
+      if (g && tag === 'coordinates') g.coords.push(...parseCoordinates(frame.text));
+      if (g && tag === 'gx:coord') g.coords.push(...parseCoordinates(frame.text.trim().replace(/\s+/g, ',')));
+      if (g && stack[stack.length - 1]?.tag === 'Location') g.location[tag] = Number(frame.text);
+      if (placemark && frame.index === placemark.index) {
+        geometries[placemark.index] = placemark.geometry ? toGeoJson(placemark.geometry) : null;
+        placemark = null;
+      }
+    },
+
+    text(s) {
+      const top = stack[stack.length - 1];
+      if (top && top.text !== null) appendRawText(top, s);
+    },
+
+    cdata(s) {
+      const top = stack[stack.length - 1];
+      if (top && top.text !== null) {
+        flushText(top);
+        top.text += s;
+      }
+    },
+
+    raw() {},
+  };
+
+  function finish() {
+    if (stack.length) throw new Error(`Unexpected end of file: <${stack[stack.length - 1].tag}> is not closed.`);
+    if (nodeIndex.count() !== want.length) throw new Error('The document no longer matches the loaded tree.');
+    return geometries;
+  }
+
+  return { handler, finish };
+}
+
+async function exportDocuments({ type, documents }) {
+  const out = [];
+  for (const doc of documents) {
+    try {
+      out.push(type === 'export'
+        ? { path: doc.path, blob: await streamKml(doc.blob, createKmlFilter(doc)) }
+        : { path: doc.path, geometries: await streamKml(doc.blob, createGeometryReader(doc)) });
+    } catch (e) {
+      throw new Error(`${doc.path}: ${e?.message ?? String(e)}`);
+    }
+  }
+  return { documents: out };
+}
+
+// ---------- Message handling ----------
+
+async function streamKml(blob, { handler, finish }, progress = () => {}) {
+  const tokenizer = new XmlTokenizer(handler);
+  const decoder = new TextDecoder('utf-8');
+
+  const wrap = (fn) => {
+    try {
+      return fn();
+    } catch (e) {
+      if (e instanceof KmlParseError) throw e;
+      throw new KmlParseError(e?.message ?? String(e), tokenizer.line, tokenizer.column);
+    }
+  };
+
+  const reader = blob.stream().getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    wrap(() => tokenizer.push(decoder.decode(value, { stream: true })));
+    progress(value.byteLength);
+  }
+  wrap(() => {
+    tokenizer.push(decoder.decode());
+    tokenizer.end();
+  });
+  return wrap(finish);
+}
+
+function parseDocument(ctx, blob, { docPath, parentNode, progress }) {
+  return streamKml(blob, createKmlTreeBuilder(ctx, { docPath, parentNode }), progress);
+}
+
+async function parseKml({ file, layerId, mainPath, assets, siblings }) {
+  const ctx = {
+    layerId,
+    assets: new Map(Object.entries(assets || {})),
+    siblings: new Map(Object.entries(siblings || {})), // path -> Blob of other .kml documents
+    nextN: 1,
+    nodes: [],
+    placemarkCount: 0,
+    placemarkKeys: new Map(), // placemarkKey -> first node id, for duplicates
+    issues: [],
+    ancestry: [mainPath],
+  };
+
+  let totalBytes = file.size;
+  let bytes = 0;
+  let lastReport = 0;
+  const report = (force) => {
+    const now = Date.now();
+    if (!force && now - lastReport < PROGRESS_INTERVAL_MS) return;
+    lastReport = now;
+    self.postMessage({ type: 'progress', bytes, totalBytes, placemarks: ctx.placemarkCount });
+  };
+  const progress = (n) => {
+    bytes += n;
+    report(false);
+  };
+
+  const main = await parseDocument(ctx, file, { docPath: mainPath, parentNode: null, progress });
+
+  // Expand NetworkLinks to sibling documents (inside the KMZ or the picked folder)
+  // into real subtrees. A document that fails to parse leaves its link as a leaf.
+  const documents = {}; // NetworkLink node id -> Blob parts of the linked document
+  const queue = main.links.map((l) => ({ ...l, ancestry: [mainPath] }));
+  while (queue.length) {
+    const link = queue.shift();
+    const blob = lookupPath(ctx.siblings, link.path);
+    const nodeCount = ctx.nodes.length;
+    const issueCount = ctx.issues.length;
+    const placemarkCount = ctx.placemarkCount;
+    const keyCount = ctx.placemarkKeys.size;
+    totalBytes += blob.size;
+    ctx.ancestry = link.ancestry.concat([link.path]);
+    try {
+      const doc = await parseDocument(ctx, blob, { docPath: link.path, parentNode: link.node, progress });
+      documents[link.node.id] = doc.parts;
+      for (const l of doc.links) queue.push({ ...l, ancestry: ctx.ancestry });
+    } catch (e) {
+      ctx.nodes.length = nodeCount;
+      ctx.issues.length = issueCount;
+      ctx.placemarkCount = placemarkCount;
+      // Keys are only ever added, so the document's own are the ones past keyCount.
+      for (const key of [...ctx.placemarkKeys.keys()].slice(keyCount)) ctx.placemarkKeys.delete(key);
+      link.node.children = [];
+      link.node.linkError = `${link.path}: ${e?.message ?? String(e)}`;
+      ctx.issues.push({ nodeId: link.node.id, kind: 'xml', message: link.node.linkError, line: e?.line, column: e?.column });
+    }
+  }
+  report(true);
+
+  // Paths are root name + folder names + feature name, as shown in the tree.
+  const containerPaths = new Map();
+  const placemarks = [];
+  const totals = { folders: 0, placemarks: 0, features: 0 };
+  for (const node of ctx.nodes) {
+    const parentPath = node.parentId ? containerPaths.get(node.parentId) : [];
+    const path = parentPath.concat([node.name]);
+    if (node.tag === 'Placemark') {
+      placemarks.push([node.id, { path, key: node.key }]);
+      delete node.key;
+      totals.placemarks += 1;
+    } else {
+      containerPaths.set(node.id, path);
+      if (CONTAINER_TAGS.has(node.tag)) totals.folders += 1;
+      else totals.features += 1;
+      if (CONTAINER_TAGS.has(node.tag) && !node.children.length) {
+        ctx.issues.push({ nodeId: node.id, kind: 'emptyFolder', message: `Empty ${node.tag}.` });
+      }
+    }
+  }
+
+  return {
+    rootNodeId: main.rootNode.id,
+    nodes: ctx.nodes,
+    placemarks,
+    totals,
+    kmlParts: main.parts,
+    documents,
+    issues: ctx.issues,
+  };
+}
+
+self.addEventListener('message', async (e) => {
+  const msg = e.data;
+  if (msg?.type !== 'parse' && msg?.type !== 'export' && msg?.type !== 'geometry') return;
+  try {
+    const result = msg.type === 'parse' ? await parseKml(msg) : await exportDocuments(msg);
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message ?? String(err), line: err?.line, column: err?.column });
+  }
+});
@@ -1,26 +1,249 @@
 // service-worker.js
-// "No-cache" service worker.
+// Offline service worker.
 //
-// Purpose:
-// - Keep the app installable as a PWA.
-// - Avoid stale-asset bugs by NOT caching or serving cached responses.
+// - App shell: everything index.html references locally (plus the KML worker) is
+//   precached per app version. The version is the `v` query of this script's URL,
+//   which app.js sets from APP_VERSION, so a new release installs a new cache.
+// - Cesium: the CDN build is precached (entry points, the workers KML rendering
+//   needs and the chunks they import) and anything else it loads is cached on
+//   first use. The cache is named after the Cesium version in index.html.
+// - Imagery tiles: cache-first into a bounded cache that drops the least recently
+//   used tiles; the page can resize or clear it (see the message handler).
 //
-// This SW only does lifecycle management (skipWaiting + claim) and clears any
-// old caches created by previous versions.
+// A new version waits until the page asks it to take over ("skip-waiting"), so
+// the user decides when to reload.
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const SHELL_CACHE = `kml-viewer-shell-v${VERSION}`;
+const TILE_CACHE = 'kml-viewer-tiles';
+const SETTINGS_CACHE = 'kml-viewer-settings';
+const SETTINGS_URL = new URL('./__settings.json', self.location.href).href;
+const DEFAULT_TILE_LIMIT = 2000;
+const TILE_TRIM_EVERY = 25; // puts between trims; counting keys on every tile is slow
+
+// Workers a KML scene uses (points, lines, polygons, ground overlays, terrain).
+const CESIUM_WORKERS = [
+  'createGeometry', 'combineGeometry', 'transferTypedArrayTest', 'createVerticesFromHeightmap',
+  'createPolylineGeometry', 'createSimplePolylineGeometry', 'createGroundPolylineGeometry',
+  'createPolygonGeometry', 'createPolygonOutlineGeometry', 'createCorridorGeometry',
+  'createCorridorOutlineGeometry', 'createRectangleGeometry', 'createRectangleOutlineGeometry',
+  'createWallGeometry', 'createWallOutlineGeometry', 'createPolylineVolumeGeometry',
+];
+const CESIUM_ASSETS = [
+  'Widgets/widgets.css',
+  'Assets/approximateTerrainHeights.json',
+  'Assets/Textures/moonSmall.jpg',
+  ...['px', 'mx', 'py', 'my', 'pz', 'mz'].map((f) => `Assets/Textures/SkyBox/tycho2t3_80_${f}.jpg`),
+  // Natural Earth II, the offline basemap: a TMS pyramid of levels 0-2 (2x1 tiles at level 0).
+  'Assets/Textures/NaturalEarthII/tilemapresource.xml',
+  ...[0, 1, 2].flatMap((z) => Array.from({ length: (2 << z) * (1 << z) }, (_, i) =>
+    `Assets/Textures/NaturalEarthII/${z}/${i >> z}/${i & ((1 << z) - 1)}.jpg`)),
+];
+
+let tilePuts = 0;
+
+// ---------- Precache ----------
+
+function localAssetUrls(html, base) {
+  // Every same-origin src/href in index.html (scripts, styles, manifest, icons).
+  const urls = new Set();
+  for (const m of html.matchAll(/\s(?:src|href)="([^"]+)"/g)) {
+    const url = new URL(m[1], base);
+    if (url.origin === self.location.origin) urls.add(url.href);
+  }
+  return urls;
+}
+
+function cesiumBaseUrl(html, base) {
+  const m = /\ssrc="([^"]*\/Cesium\.js)"/.exec(html);
+  return m ? new URL('./', new URL(m[1], base)).href : null;
+}
+
+function cesiumCacheName(cesiumBase) {
+  const version = /cesium@([\w.-]+)/.exec(cesiumBase)?.[1] ?? 'unknown';
+  return `kml-viewer-cesium-${version}`;
+}
+
+async function precacheShell(html, base) {
+  const urls = localAssetUrls(html, base);
+  urls.add(new URL('./', base).href);
+  urls.add(new URL('./index.html', base).href);
+  urls.add(new URL(`./kml-worker.js?v=${VERSION}`, base).href);
+
+  const cache = await caches.open(SHELL_CACHE);
+  await Promise.all(Array.from(urls, async (url) => {
+    const res = await fetch(url, { cache: 'reload' });
+    if (!res.ok) throw new Error(`Precache failed for ${url}: ${res.status}`);
+    await cache.put(url, res);
+  }));
+}
+
+async function precacheCesium(cesiumBase) {
+  const cache = await caches.open(cesiumCacheName(cesiumBase));
+  const seen = new Set();
+
+  const add = async (url) => {
+    if (seen.has(url)) return;
+    seen.add(url);
+    let res = await cache.match(url);
+    if (!res) {
+      res = await fetch(url, { mode: 'cors' });
+      if (!res.ok) return; // optional asset missing from this build
+      await cache.put(url, res.clone());
+    }
+    // Worker modules import hashed chunks; follow them so the cache is complete.
+    if (url.endsWith('.js') && url.includes('/Workers/')) {
+      const text = await res.text();
+      const imports = new Set(Array.from(text.matchAll(/["'](\.\/[\w.-]+\.js)["']/g), (m) => new URL(m[1], url).href));
+      await Promise.all(Array.from(imports, add));
+    }
+  };
+
+  await add(new URL('Cesium.js', cesiumBase).href);
+  await Promise.all([
+    ...CESIUM_ASSETS.map((p) => add(new URL(p, cesiumBase).href)),
+    ...CESIUM_WORKERS.map((w) => add(new URL(`Workers/${w}.js`, cesiumBase).href)),
+  ]);
+}
 
 self.addEventListener('install', (event) => {
-  event.waitUntil(self.skipWaiting());
+  event.waitUntil((async () => {
+    const base = new URL('./', self.location.href).href;
+    const res = await fetch(new URL('./index.html', base).href, { cache: 'reload' });
+    const html = await res.text();
+    await precacheShell(html, base);
+    const cesiumBase = cesiumBaseUrl(html, base);
+    // Cesium failing to precache (e.g. CDN hiccup) should not block the app shell;
+    // whatever it fetches later is still cached on first use.
+    if (cesiumBase) await precacheCesium(cesiumBase).catch((e) => console.warn('Cesium precache incomplete:', e));
+
+    // The very first install takes over right away; updates wait for the page.
+    if (!self.registration.active) await self.skipWaiting();
+  })());
 });
 
 self.addEventListener('activate', (event) => {
-  event.waitUntil(
-    (async () => {
-      // Clean up any leftover caches from earlier caching versions.
-      const keys = await caches.keys();
-      await Promise.all(keys.map((k) => caches.delete(k)));
-      await self.clients.claim();
-    })()
-  );
+  event.waitUntil((async () => {
+    // Drop other versions' shells and Cesium builds that index.html no longer uses.
+    const html = await (await caches.open(SHELL_CACHE)).match(new URL('./index.html', self.location.href).href);
+    const cesiumBase = html ? cesiumBaseUrl(await html.text(), self.location.href) : null;
+    const keep = new Set([SHELL_CACHE, TILE_CACHE, SETTINGS_CACHE]);
+    if (cesiumBase) keep.add(cesiumCacheName(cesiumBase));
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => !keep.has(k)).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+// ---------- Fetch ----------
+
+function isTileRequest(url) {
+  // z/x/y tile paths: OSM-style .../12/2048/1361.png and ArcGIS-style .../tile/12/1361/2048.
+  return url.origin !== self.location.origin && /\/\d+\/\d+\/\d+(?:@2x)?(?:\.(?:png|jpe?g|webp))?$/i.test(url.pathname);
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok || res.type === 'opaque') await cache.put(request, res.clone());
+  return res;
+}
+
+async function fromShell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const url = new URL(request.url);
+  if (request.mode === 'navigate') {
+    const hit = await cache.match(new URL('./index.html', self.location.href).href);
+    if (hit) return hit;
+  } else {
+    const hit = await cache.match(url.href);
+    if (hit) return hit;
+  }
+  return fetch(request);
+}
+
+async function fromTileCache(event) {
+  const { request } = event;
+  const cache = await caches.open(TILE_CACHE);
+  const hit = await cache.match(request);
+  if (hit) {
+    // Re-insert the tile after responding so key order follows last use (see trimTileCache).
+    const copy = hit.clone();
+    event.waitUntil(cache.delete(request).then(() => cache.put(request, copy)).catch(() => {}));
+    return hit;
+  }
+  const res = await fetch(request);
+  if (res.ok) {
+    await cache.put(request, res.clone());
+    tilePuts += 1;
+    if (tilePuts % TILE_TRIM_EVERY === 0) event.waitUntil(trimTileCache().catch(() => {}));
+  }
+  return res;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  // The page checks for new versions with cache: 'no-store'; let those reach the network.
+  if (request.cache === 'no-store') return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    if (url.pathname.endsWith('/service-worker.js')) return;
+    event.respondWith(fromShell(request));
+  } else if (/\/cesium@[\w.-]+\/Build\//.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, cesiumCacheName(url.href)));
+  } else if (isTileRequest(url)) {
+    event.respondWith(fromTileCache(event));
+  }
 });
 
-// No fetch handler => browser default network behavior.
+// ---------- Tile cache settings ----------
+
+async function getTileLimit() {
+  const res = await (await caches.open(SETTINGS_CACHE)).match(SETTINGS_URL);
+  const settings = res ? await res.json() : {};
+  return Number(settings.tileLimit) || DEFAULT_TILE_LIMIT;
+}
+
+async function setTileLimit(limit) {
+  const cache = await caches.open(SETTINGS_CACHE);
+  await cache.put(SETTINGS_URL, new Response(JSON.stringify({ tileLimit: limit }), {
+    headers: { 'Content-Type': 'application/json' },
+  }));
+}
+
+async function trimTileCache() {
+  // Cache keys come back in insertion order and hits are re-inserted, so the least
+  // recently used tiles go first.
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  const excess = keys.length - await getTileLimit();
+  if (excess > 0) await Promise.all(keys.slice(0, excess).map((k) => cache.delete(k)));
+}
+
+async function tileCacheInfo() {
+  const keys = await (await caches.open(TILE_CACHE)).keys();
+  return { tiles: keys.length, limit: await getTileLimit() };
+}
+
+self.addEventListener('message', (event) => {
+  const msg = event.data;
+  // Always answer, with null on failure, so the page is not left waiting.
+  const reply = (data) => event.ports[0]?.postMessage(data);
+
+  if (msg?.type === 'skip-waiting') {
+    self.skipWaiting();
+  } else if (msg?.type === 'tile-cache-info') {
+    event.waitUntil(tileCacheInfo().then(reply, () => reply(null)));
+  } else if (msg?.type === 'set-tile-limit') {
+    event.waitUntil(setTileLimit(Number(msg.limit) || DEFAULT_TILE_LIMIT)
+      .then(trimTileCache)
+      .then(tileCacheInfo)
+      .then(reply, () => reply(null)));
+  } else if (msg?.type === 'clear-tile-cache') {
+    event.waitUntil(caches.delete(TILE_CACHE).then(tileCacheInfo).then(reply, () => reply(null)));
+  }
+});